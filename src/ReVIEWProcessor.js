@@ -1,9 +1,42 @@
 // LICENSE : MIT
 'use strict';
 import { parse } from './review-to-ast';
+import { normalizeOptions } from './options';
+import { loadProject, loadWords } from './project';
+import { escapeFixes, verifyFixes } from './fixer';
+
+/**
+ * ruleId of messages reporting syntax errors of Re:VIEW.
+ */
+const SyntaxErrorRuleId = 'review';
+
+/**
+ * ruleId of messages reporting comments like #@warn(...).
+ */
+const CommentRuleId = 'review-comment';
+
+// severity of textlint messages keyed by Severities,
+// same as TextlintRuleSeverityLevelKeys of @textlint/kernel
+const SeverityLevels = {
+  error: 2,
+  warning: 1,
+  info: 0,
+};
+
 export default class ReVIEWProcessor {
   constructor(config) {
     this.config = config;
+
+    // text, AST and options (having syntax errors) of preProcess() keyed by filePath.
+    // NOTE: textlint may call processor() for preProcess() and postProcess() separately.
+    this.documents = new Map();
+
+    // filePaths whose syntax errors are already reported.
+    // NOTE: textlint calls preProcess() and postProcess() for each fixable rule while fixing.
+    this.reportedFiles = new Set();
+
+    // filePaths being fixed, whose preProcess() is called again before postProcess().
+    this.fixingFiles = new Set();
   }
 
   static availableExtensions() {
@@ -13,17 +46,73 @@ export default class ReVIEWProcessor {
   }
 
   processor(ext) {
+    const config = this.config;
+    const documents = this.documents;
+    const reportedFiles = this.reportedFiles;
+    const fixingFiles = this.fixingFiles;
     return {
       preProcess(text, filePath) {
-        return parse(text);
+        if (documents.has(filePath)) {
+          fixingFiles.add(filePath);
+        }
+
+        const options = normalizeOptions(Object.assign({}, config, { filePath }));
+        if (filePath) {
+          options.project = loadProject(filePath, options);
+        }
+
+        options.words = loadWords(options, options.project);
+
+        const ast = parse(text, options);
+        documents.set(filePath, { text, ast, options });
+        return ast;
       },
 
       postProcess(messages, filePath) {
+        const document = documents.get(filePath);
+        if (!document) {
+          return {
+            messages: messages,
+            filePath: filePath ? filePath : '<text>',
+          };
+        }
+
+        documents.delete(filePath);
+
+        // fixes are applied to the text by textlint after postProcess(), or by editors when linting
+        if (fixingFiles.has(filePath)) {
+          messages = verifyFixes(messages, document.text, document.ast, document.options);
+        } else {
+          messages = escapeFixes(messages, document.ast);
+        }
+
+        if (!reportedFiles.has(filePath)) {
+          reportedFiles.add(filePath);
+          messages = messages.concat(document.options.diagnostics.map(createMessage));
+        }
+
         return {
-          messages,
+          messages: messages,
           filePath: filePath ? filePath : '<text>',
         };
       },
     };
   }
 }
+
+/**
+ * create textlint message from a diagnostic found while parsing.
+ * @param {Diagnostic} diagnostic - Syntax error or comment
+ * @return {TextlintMessage} message
+ */
+function createMessage(diagnostic) {
+  return {
+    type: 'lint',
+    ruleId: diagnostic.isComment ? CommentRuleId : SyntaxErrorRuleId,
+    message: diagnostic.message,
+    index: diagnostic.index,
+    line: diagnostic.line,
+    column: diagnostic.column + 1, // column of textlint message is 1-origin
+    severity: SeverityLevels[diagnostic.severity || 'error'],
+  };
+}
@@ -0,0 +1,519 @@
+// LICENSE : MIT
+'use strict';
+import { Syntax } from './mapping';
+import { findInlineTag } from './parser-utils';
+
+/**
+ * names of code blocks and indexes of their language args.
+ */
+const CodeLanguageArgIndexes = {
+  list: 2,
+  listnum: 2,
+  emlist: 1,
+  emlistnum: 1,
+  source: 1,
+};
+
+/**
+ * names of blocks whose content is just paragraphs in Markdown.
+ */
+const TransparentBlockNames = ['lead', 'read'];
+
+/**
+ * names of short column blocks, which are converted to block quotes.
+ */
+const ShortColumnNames = [
+  'note', 'memo', 'tip', 'info', 'warning', 'important', 'caution', 'notice', 'point', 'shoot',
+  'reference', 'term', 'practice', 'expert',
+];
+
+/**
+ * names of inline tags and HTML elements to which they are converted.
+ */
+const HtmlTagNames = {
+  sup: 'sup',
+  sub: 'sub',
+  ins: 'ins',
+  u: 'u',
+  abbr: 'abbr',
+  acronym: 'abbr',
+  cite: 'cite',
+  dfn: 'dfn',
+  q: 'q',
+  small: 'small',
+};
+
+/**
+ * convert TxtNode returned by parse() to CommonMark.
+ * Tables, footnotes and strikethroughs are written in the syntax of GitHub Flavored Markdown.
+ * Constructs which cannot be represented in Markdown are reported as diagnostics,
+ * and converted to the closest Markdown or removed.
+ * @param {TxtNode} ast - Document node
+ * @return {{markdown: string, diagnostics: [Diagnostic]}} Markdown and unsupported constructs
+ */
+export function toMarkdown(ast) {
+  const context = { diagnostics: [] };
+  const markdown = convertBlocks(ast.children, context);
+  return {
+    markdown: markdown === '' ? '' : markdown + '\n',
+    diagnostics: context.diagnostics,
+  };
+}
+
+/**
+ * convert block nodes separated by empty lines.
+ * @param {[TxtNode]} nodes - Block nodes
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown
+ */
+function convertBlocks(nodes, context) {
+  return nodes
+    .map(node => convertBlock(node, context))
+    .filter(markdown => markdown !== null)
+    .join('\n\n');
+}
+
+/**
+ * convert a block node.
+ * @param {TxtNode} node - Block node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown, or null if the node is removed
+ */
+function convertBlock(node, context) {
+  switch (node.type) {
+    case Syntax.Heading:
+      return convertHeading(node, context);
+    case Syntax.Paragraph:
+      return convertParagraph(node, context);
+    case Syntax.UnorderedList:
+      return node.children.some(child => child.type === Syntax.DefinitionTerm) ?
+        convertDefinitionList(node, context) : convertList(node, context);
+    case Syntax.Table:
+      return convertTable(node, context);
+    case Syntax.CodeBlock:
+      return convertCodeBlock(node, context);
+    case Syntax.Image:
+      return convertImage(node, context);
+    case Syntax.Quote:
+      return quote(convertBlocks(node.children, context));
+    case Syntax.Footnote:
+      return `[^${node.args[0]}]: ${convertInlines(footnoteTextOf(node), context)}`;
+    case Syntax.Comment:
+      return null;
+    case Syntax.Embed:
+      return convertEmbed(node, context);
+    case Syntax.Column:
+      report(context, node, '==[column] is not supported in Markdown');
+      return convertBlocks(node.children, context);
+    case Syntax.Block:
+      return convertGenericBlock(node, context);
+    case Syntax.Directive:
+      report(context, node, `#@${node.name} is not supported in Markdown`);
+      return null;
+    default:
+      report(context, node, node.name ?
+        `//${node.name} is not supported in Markdown` :
+        `${node.type} is not supported in Markdown`);
+      return node.value !== undefined ? fence(node.value, 'math') : null;
+  }
+}
+
+/**
+ * convert heading, whose depth is limited to 6.
+ * @param {TxtNode} node - Heading node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown
+ */
+function convertHeading(node, context) {
+  if (node.depth > 6) {
+    report(context, node, `Heading of level ${node.depth} is not supported in Markdown`);
+  }
+
+  return `${'#'.repeat(Math.min(node.depth, 6))} ${convertInlines(node.children, context)}`;
+}
+
+/**
+ * convert paragraph keeping line breaks. Comment and directive lines are removed.
+ * @param {TxtNode} node - Paragraph node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown, or null if the paragraph has only comments
+ */
+function convertParagraph(node, context) {
+  const lines = [];
+  let lastLine = null;
+  node.children.forEach(child => {
+    if (child.type === Syntax.Directive) {
+      report(context, child, `#@${child.name} is not supported in Markdown`);
+    }
+
+    if (child.softBreak || child.type === Syntax.Comment && !child.name ||
+        child.type === Syntax.Directive) {
+      lastLine = null;
+      return;
+    }
+
+    const line = child.loc ? child.loc.start.line : lastLine;
+    if (line !== lastLine || lines.length === 0) {
+      lines.push('');
+      lastLine = line;
+    }
+
+    lines[lines.length - 1] += convertInline(child, context);
+  });
+
+  const markdown = lines
+    .filter(line => line !== '')
+    .map(escapeLineStart)
+    .join('\n');
+  return markdown === '' ? null : markdown;
+}
+
+/**
+ * convert list, whose items are indented by the width of their markers.
+ * @param {TxtNode} node - List node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown
+ */
+function convertList(node, context) {
+  const items = node.children.filter(child => child.type === Syntax.ListItem);
+  return items.map((item, index) => {
+    const marker = node.ordered ? `${index + 1}. ` : '- ';
+    const inlineChildren = item.children.filter(child => !isBlockNode(child));
+    const blockChildren = item.children.filter(isBlockNode);
+    let markdown = marker + convertInlines(inlineChildren, context);
+    blockChildren.forEach(child => {
+      const childMarkdown = convertBlock(child, context);
+      if (childMarkdown !== null) {
+        const separator = child.type === Syntax.UnorderedList ? '\n' : '\n\n';
+        markdown += separator + indent(childMarkdown, marker.length);
+      }
+    });
+    return markdown;
+  }).join('\n');
+}
+
+/**
+ * convert definition list to paragraphs having terms in bold.
+ * @param {TxtNode} node - List node having DefinitionTerm
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown
+ */
+function convertDefinitionList(node, context) {
+  report(context, node, 'Definition list is not supported in Markdown');
+  return node.children
+    .filter(child => child.type !== Syntax.Comment)
+    .map(child => {
+      if (child.type === Syntax.DefinitionTerm) {
+        return `**${convertInlines(child.children.filter(term => !isBlockNode(term)), context)}**`;
+      }
+
+      return convertBlocks(child.children, context);
+    })
+    .join('\n\n');
+}
+
+/**
+ * convert table to a table of GitHub Flavored Markdown.
+ * The first row is the header row, since a table in Markdown must have exactly one header row.
+ * @param {TxtNode} node - Table node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown
+ */
+function convertTable(node, context) {
+  const rows = node.children.filter(child => child.type === Syntax.TableRow);
+  if (rows.filter(row => row.isHeader).length > 1) {
+    report(context, node, 'Table having multiple header rows is not supported in Markdown');
+  }
+
+  const cellCount = Math.max.apply(null, rows.map(row =>
+    row.children.reduce((count, cell) => Math.max(count, cell.columnIndex + 1), 1)));
+  const lines = rows.map(row => {
+    const cells = [];
+    for (let i = 0; i < cellCount; i++) {
+      cells.push('');
+    }
+
+    row.children.forEach(cell => {
+      cells[cell.columnIndex] = convertInlines(cell.children, context);
+    });
+    return `| ${cells.join(' | ')} |`;
+  });
+
+  const separator = [];
+  for (let i = 0; i < cellCount; i++) {
+    separator.push('---');
+  }
+
+  lines.splice(1, 0, `| ${separator.join(' | ')} |`);
+  return withCaption(node, lines.join('\n'), context);
+}
+
+/**
+ * convert code block to a fenced code block with the language.
+ * @param {TxtNode} node - CodeBlock node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown
+ */
+function convertCodeBlock(node, context) {
+  const languageIndex = CodeLanguageArgIndexes[node.name];
+  const language = languageIndex !== undefined ? node.args[languageIndex] || '' : '';
+  return withCaption(node, fence(node.value, language), context);
+}
+
+/**
+ * convert image block to an image whose alternative text is the caption.
+ * The ID of the image is written as the URL.
+ * @param {TxtNode} node - Image node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown, or null if the image is a graph
+ */
+function convertImage(node, context) {
+  if (node.value !== undefined) {
+    report(context, node, `//${node.name} is not supported in Markdown`);
+    return null;
+  }
+
+  const caption = captionOf(node);
+  const alt = caption ? convertInlines(caption.children, context) : '';
+  return `![${alt}](${node.args[0]})`;
+}
+
+/**
+ * convert embedded content, which is kept only if it is for HTML.
+ * @param {TxtNode} node - Html node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown, or null if the content is not for HTML
+ */
+function convertEmbed(node, context) {
+  const match = node.value.match(/^\|([\w,]*)\|([\s\S]*)$/);
+  const builders = match ? match[1].split(',') : node.args.slice(0, 1);
+  if (builders.length > 0 && builders.indexOf('html') < 0) {
+    report(context, node, `//${node.name} for ${builders.join(',')} is not supported in Markdown`);
+    return null;
+  }
+
+  const content = match ? match[2] : node.value;
+  return node.args.length > 0 && match ?
+    content.replace(/\\n/g, '\n') : content.replace(/\r?\n$/, '');
+}
+
+/**
+ * convert block having no counterpart in Markdown, whose content is kept.
+ * Short columns like //note are converted to block quotes.
+ * @param {TxtNode} node - Block node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown, or null if the block has no content
+ */
+function convertGenericBlock(node, context) {
+  if (TransparentBlockNames.indexOf(node.name) >= 0) {
+    return convertBlocks(node.children, context);
+  }
+
+  if (node.name === 'hr') {
+    return '***';
+  }
+
+  report(context, node, `//${node.name} is not supported in Markdown`);
+  const caption = captionOf(node);
+  const children = node.children.filter(child => child.type !== Syntax.Caption);
+  if (children.length === 0) {
+    return null;
+  }
+
+  const markdown = convertBlocks(children, context);
+  if (ShortColumnNames.indexOf(node.name) < 0) {
+    return markdown;
+  }
+
+  const title = caption ? `**${convertInlines(caption.children, context)}**\n\n` : '';
+  return quote(title + markdown);
+}
+
+/**
+ * put the caption of a node before the Markdown of the node as a paragraph.
+ * @param {TxtNode} node - Node which may have caption
+ * @param {string} markdown - Markdown of the node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown
+ */
+function withCaption(node, markdown, context) {
+  const caption = captionOf(node);
+  return caption ? `${convertInlines(caption.children, context)}\n\n${markdown}` : markdown;
+}
+
+/**
+ * convert inline nodes.
+ * @param {[TxtNode]} nodes - Inline nodes
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown
+ */
+function convertInlines(nodes, context) {
+  return nodes.map(node => convertInline(node, context)).join('');
+}
+
+/**
+ * convert an inline node.
+ * @param {TxtNode} node - Inline node
+ * @param {Object} context - Context having diagnostics
+ * @return {string} Markdown
+ */
+function convertInline(node, context) {
+  if (node.type === Syntax.Str) {
+    return escapeMarkdown(node.value);
+  }
+
+  if (node.value !== undefined) {
+    // content of code tags including ones with code strategy, e.g. @<code> and @<kbd>
+    return node.type === Syntax.Comment ? '' : codeSpan(node.value);
+  }
+
+  const text = () => convertInlines(node.children || [], context);
+  switch (node.name) {
+    case 'b':
+    case 'strong':
+      return `**${text()}**`;
+    case 'i':
+    case 'em':
+      return `*${text()}*`;
+    case 'del':
+      return `~~${text()}~~`;
+    case 'tt':
+    case 'tti':
+    case 'ttb':
+      return codeSpan(plainTextOf(node));
+    case 'kw':
+      return `**${text()}**` + (node.alt ? ` (${escapeMarkdown(node.alt)})` : '');
+    case 'href':
+      return node.children.length === 0 || plainTextOf(node) === node.url ?
+        `<${node.url}>` : `[${text()}](${node.url})`;
+    case 'ruby':
+      return `<ruby>${text()}<rt>${escapeHtml(node.rubyText)}</rt></ruby>`;
+    case 'fn':
+      return `[^${node.targetId}]`;
+    case 'w':
+    case 'wb':
+      if (node.children) {
+        return text(); // expanded word
+      }
+
+      break;
+    case 'br':
+      return '<br>';
+    case 'uchar':
+      return `&#x${tagContentOf(node)};`;
+  }
+
+  if (HtmlTagNames[node.name]) {
+    const tagName = HtmlTagNames[node.name];
+    return `<${tagName}>${text()}</${tagName}>`;
+  }
+
+  report(context, node, `@<${node.name}> is not supported in Markdown`);
+  if (node.type === Syntax.Reference) {
+    // text of resolved reference if exists
+    return node.children && node.children.length > 0 ?
+      text() : escapeMarkdown(tagContentOf(node));
+  }
+
+  if (node.name === 'm') {
+    return codeSpan(tagContentOf(node));
+  }
+
+  return node.children ? text() : '';
+}
+
+/**
+ * report construct which cannot be represented in Markdown.
+ * @param {Object} context - Context having diagnostics
+ * @param {TxtNode} node - Node of the construct
+ * @param {string} message - Message of the diagnostic
+ */
+function report(context, node, message) {
+  context.diagnostics.push({
+    message: message,
+    index: node.range ? node.range[0] : null,
+    line: node.loc ? node.loc.start.line : null,
+    column: node.loc ? node.loc.start.column : null,
+  });
+}
+
+function captionOf(node) {
+  return (node.children || []).find(child => child.type === Syntax.Caption) || null;
+}
+
+function footnoteTextOf(node) {
+  return node.children && node.children[0] ? node.children[0].children : [];
+}
+
+function isBlockNode(node) {
+  return node.type === Syntax.UnorderedList || node.args !== undefined ||
+    [Syntax.Paragraph, Syntax.Table, Syntax.CodeBlock, Syntax.Quote, Syntax.Block]
+      .indexOf(node.type) >= 0;
+}
+
+function tagContentOf(node) {
+  const tag = findInlineTag(node.raw);
+  return tag ? tag.content.raw : '';
+}
+
+function plainTextOf(node) {
+  if (node.type === Syntax.Str) {
+    return node.value;
+  }
+
+  return node.value !== undefined ? node.value : (node.children || []).map(plainTextOf).join('');
+}
+
+/**
+ * write fenced code block, whose fence is longer than backticks in the content.
+ * @param {string} value - Content of the code block
+ * @param {string} language - Language of the code
+ * @return {string} Markdown
+ */
+function fence(value, language) {
+  const backticks = (value.match(/`{3,}/g) || [])
+    .reduce((max, b) => Math.max(max, b.length + 1), 3);
+  const marker = '`'.repeat(backticks);
+  const content = value.replace(/\r?\n$/, '');
+  return `${marker}${language}\n${content === '' ? '' : content + '\n'}${marker}`;
+}
+
+/**
+ * write code span, whose backticks are longer than backticks in the content.
+ * @param {string} value - Content of the code span
+ * @return {string} Markdown
+ */
+function codeSpan(value) {
+  const backticks = (value.match(/`+/g) || []).reduce((max, b) => Math.max(max, b.length + 1), 1);
+  const marker = '`'.repeat(backticks);
+  const padding = value.startsWith('`') || value.endsWith('`') ? ' ' : '';
+  return `${marker}${padding}${value}${padding}${marker}`;
+}
+
+function quote(markdown) {
+  return markdown.split('\n').map(line => line === '' ? '>' : `> ${line}`).join('\n');
+}
+
+function indent(markdown, width) {
+  const spaces = ' '.repeat(width);
+  return markdown.split('\n').map(line => line === '' ? '' : spaces + line).join('\n');
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>|~]/g, '\\$&');
+}
+
+/**
+ * escape characters at the start of a line which would be a block, e.g. "# " and "1. ".
+ * @param {string} line - Line of a paragraph
+ * @return {string} Escaped line
+ */
+function escapeLineStart(line) {
+  return line
+    .replace(/^(\d+)([.)])(\s|$)/, '$1\\$2$3')
+    .replace(/^([#+=-])/, '\\$1');
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,554 @@
+// LICENSE : MIT
+'use strict';
+import { Syntax } from './mapping';
+import { RegionDirectiveNames } from './preprocessor';
+import { escapeValue, unescapeValue } from './parser-utils';
+
+/**
+ * types of nodes whose children are inline nodes.
+ */
+const InlineContainerTypes = [
+  Syntax.Paragraph,
+  Syntax.Heading,
+  Syntax.Caption,
+];
+
+/**
+ * types of nodes which are always blocks.
+ * Other nodes having args, e.g. //image and //texequation, are also blocks.
+ */
+const BlockTypes = [
+  Syntax.Paragraph,
+  Syntax.Heading,
+  Syntax.UnorderedList,
+  Syntax.Table,
+  Syntax.CodeBlock,
+  Syntax.Quote,
+  Syntax.Embed,
+  Syntax.Footnote,
+  Syntax.Block,
+  Syntax.Column,
+  Syntax.Directive,
+];
+
+/**
+ * stringify TxtNode as Re:VIEW text.
+ * A node having raw is reproduced from the original text, in which its children are replaced
+ * with stringified children. A node without raw is generated from its properties,
+ * and value of a Str node is escaped if it differs from raw.
+ * @param {TxtNode} node - Node to stringify, usually Document node returned by parse()
+ * @return {string} Re:VIEW text
+ */
+export function stringify(node) {
+  const inline = node.type !== Syntax.Document && !isBlockNode(node);
+  return stringifyNode(node, { parent: null, escapes: [], inline: inline });
+}
+
+/**
+ * stringify a node in the context.
+ * @param {TxtNode} node - Node to stringify
+ * @param {StringifyContext} context - Parent, characters to escape and whether it is inline
+ * @return {string} Re:VIEW text
+ */
+function stringifyNode(node, context) {
+  if (node.type === Syntax.Str) {
+    return stringifyStr(node, context);
+  }
+
+  if (node.raw === undefined) {
+    return generateNode(node, context);
+  }
+
+  // children of a reference are generated from the referenced element
+  const children = node.type === Syntax.Reference ? [] : node.children || [];
+  if (children.length === 0) {
+    return node.raw;
+  }
+
+  if (!children.some(hasRange)) {
+    return generateNode(node, context);
+  }
+
+  return spliceChildren(node, children, context);
+}
+
+/**
+ * stringify a node replacing its children in the raw text.
+ * Children without range are inserted next to the preceding child, or the following child.
+ * @param {TxtNode} node - Node having raw and range
+ * @param {[TxtNode]} children - Children of the node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Re:VIEW text
+ */
+function spliceChildren(node, children, context) {
+  const separator = separatorOf(node);
+  const startIndex = node.range[0];
+  let result = '';
+  let index = startIndex;
+  let pending = [];
+  let hasPrecedingChild = false;
+  children.forEach(child => {
+    const text = stringifyNode(child, childContext(child, node, context));
+    if (!hasRange(child)) {
+      if (hasPrecedingChild) {
+        result += separator + text;
+      } else {
+        pending.push(text);
+      }
+
+      return;
+    }
+
+    result += node.raw.slice(index - startIndex, child.range[0] - startIndex);
+    result += pending.map(text => text + separator).join('');
+    result += text;
+    pending = [];
+    hasPrecedingChild = true;
+    index = child.range[1];
+  });
+
+  return result + node.raw.slice(index - startIndex);
+}
+
+/**
+ * stringify Str node, whose value is escaped if it is modified.
+ * @param {TxtNode} node - Str node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Re:VIEW text
+ */
+function stringifyStr(node, context) {
+  if (node.raw === undefined) {
+    return node.softBreak ? '\n' : escapeValue(node.value, context.escapes);
+  }
+
+  const escapes = node.escapes || [];
+  const value = unescapeValue(node.raw, {
+    unescapeBraces: escapes.indexOf('}') >= 0,
+    unescapeBrackets: escapes.indexOf(']') >= 0,
+  });
+  if (node.softBreak || value === node.value) {
+    return node.raw;
+  }
+
+  return escapeValue(node.value, escapes);
+}
+
+/**
+ * generate Re:VIEW text of a node from its properties.
+ * @param {TxtNode} node - Node to generate
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Re:VIEW text
+ */
+function generateNode(node, context) {
+  if (context.inline) {
+    if (node.type === Syntax.Directive) {
+      return generateDirective(node, context);
+    }
+
+    return node.type === Syntax.Comment && !node.name ?
+      `#@# ${node.value}` : generateInlineTag(node, context);
+  }
+
+  switch (node.type) {
+    case Syntax.Document:
+      return generateChildren(node, context, '\n\n') + '\n';
+    case Syntax.Paragraph:
+      return generateLines(node, context).join('\n');
+    case Syntax.Heading:
+      return generateHeading(node, context);
+    case Syntax.UnorderedList:
+      return generateChildren(node, context, '\n');
+    case Syntax.ListItem:
+      return node.columnIndex === undefined ?
+        generateListItem(node, context) : generateChildren(node, context, '');
+    case Syntax.DefinitionTerm:
+      return generateListItem(node, context);
+    case Syntax.TableRow:
+      return generateTableRow(node, context, 0);
+    case Syntax.DefinitionDescription:
+      return generateDefinitionDescription(node, context);
+    case Syntax.Column:
+      return generateColumn(node, context);
+    case Syntax.Directive:
+      return generateDirective(node, context);
+    case Syntax.Comment:
+      if (!node.name) {
+        return `#@# ${node.value}`;
+      }
+  }
+
+  if (node.name) {
+    return generateBlock(node, context);
+  }
+
+  return generateChildren(node, context, separatorOf(node));
+}
+
+/**
+ * generate children of a node joined with the separator.
+ * @param {TxtNode} node - Parent node
+ * @param {StringifyContext} context - Context of the parent node
+ * @param {string} separator - Separator between children
+ * @return {string} Re:VIEW text
+ */
+function generateChildren(node, context, separator) {
+  return (node.children || [])
+    .map(child => stringifyNode(child, childContext(child, node, context)))
+    .join(separator);
+}
+
+/**
+ * generate lines of inline children, which are split where lines of them differ.
+ * @param {TxtNode} node - Node having inline children
+ * @param {StringifyContext} context - Context of the node
+ * @return {[string]} Lines without line endings
+ */
+function generateLines(node, context) {
+  const lines = [''];
+  let prevChild = null;
+  node.children.forEach(child => {
+    if (child.softBreak) {
+      lines.push('');
+      prevChild = null;
+      return;
+    }
+
+    if (prevChild && (isLineComment(prevChild) || isLineComment(child) ||
+                      lineOf(prevChild) !== lineOf(child))) {
+      lines.push('');
+    }
+
+    lines[lines.length - 1] += stringifyNode(child, childContext(child, node, context));
+    prevChild = child;
+  });
+
+  return lines;
+}
+
+/**
+ * generate heading like "=={id} label".
+ * @param {TxtNode} node - Heading node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Re:VIEW text
+ */
+function generateHeading(node, context) {
+  const options = (node.options || []).map(option => `[${option}]`).join('');
+  const id = node.id ? `{${node.id}}` : '';
+  const label = node.children ? generateChildren(node, context, '') : node.label || '';
+  return `${'='.repeat(node.depth)}${options}${id} ${label}`;
+}
+
+/**
+ * generate item of a list, whose block children are nested list or chunks in //beginchild.
+ * @param {TxtNode} node - ListItem or DefinitionTerm node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Re:VIEW text
+ */
+function generateListItem(node, context) {
+  const children = node.children || [];
+  const inlineChildren = children.filter(child => !isBlockNode(child));
+  const blockChildren = children.filter(isBlockNode);
+  let result = listItemPrefix(node, context.parent) +
+    generateChildren(Object.assign({}, node, { children: inlineChildren }), context, '');
+
+  const childChunks = blockChildren.filter(child => child.type !== Syntax.UnorderedList);
+  if (childChunks.length > 0) {
+    result += '\n//beginchild\n\n' +
+      generateChildren(Object.assign({}, node, { children: childChunks }), context, '\n\n') +
+      '\n\n//endchild';
+  }
+
+  blockChildren.filter(child => child.type === Syntax.UnorderedList).forEach(child => {
+    result += '\n' + stringifyNode(child, childContext(child, node, context));
+  });
+
+  return result;
+}
+
+/**
+ * get prefix of list item like " * " and " 1. ".
+ * @param {TxtNode} node - ListItem or DefinitionTerm node
+ * @param {TxtNode} list - List node having the item
+ * @return {string} Prefix of the item
+ */
+function listItemPrefix(node, list) {
+  if (node.type === Syntax.DefinitionTerm) {
+    return ' : ';
+  }
+
+  if (list && list.ordered) {
+    const items = list.children.filter(child => child.type === Syntax.ListItem);
+    return ` ${items.indexOf(node) + 1}. `;
+  }
+
+  const depth = node.depth || (list && list.depth) || 1;
+  return ` ${'*'.repeat(depth)} `;
+}
+
+/**
+ * generate description of definition list, whose lines are indented.
+ * @param {TxtNode} node - DefinitionDescription node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Re:VIEW text
+ */
+function generateDefinitionDescription(node, context) {
+  const children = node.children || [];
+  const paragraph = children[0] && children[0].type === Syntax.Paragraph ? children[0] : null;
+  let result = '';
+  if (paragraph) {
+    result = stringifyNode(paragraph, childContext(paragraph, node, context))
+      .split('\n')
+      .map(line => line.startsWith('#@') ? line : `\t${line}`)
+      .join('\n');
+  }
+
+  const childChunks = paragraph ? children.slice(1) : children;
+  if (childChunks.length > 0) {
+    result += '\n//beginchild\n\n' +
+      generateChildren(Object.assign({}, node, { children: childChunks }), context, '\n\n') +
+      '\n\n//endchild';
+  }
+
+  return result;
+}
+
+/**
+ * generate column, which is closed with ==[/column].
+ * @param {TxtNode} node - Column node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Re:VIEW text
+ */
+function generateColumn(node, context) {
+  const heading = node.children.find(child => child.type === Syntax.Heading);
+  const depth = heading ? heading.depth : 2;
+  return generateChildren(node, context, '\n\n') + `\n\n${'='.repeat(depth)}[/column]`;
+}
+
+/**
+ * generate directive of review-preproc like #@mapfile(foo.js) ... #@end.
+ * @param {TxtNode} node - Directive node
+ * @return {string} Re:VIEW text
+ */
+function generateDirective(node) {
+  const line = `#@${node.name}(${(node.args || []).join(',')})`;
+  if (RegionDirectiveNames.indexOf(node.name) < 0) {
+    return line;
+  }
+
+  const content = node.children.map(child => child.value + '\n').join('');
+  return `${line}\n${content}#@end`;
+}
+
+/**
+ * generate block like "//list[id][caption]{ ... //}".
+ * The caption replaces the argument which is the raw text of it, or the last argument.
+ * @param {TxtNode} node - Block node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Re:VIEW text
+ */
+function generateBlock(node, context) {
+  const args = (node.args || []).slice();
+  const children = node.children || [];
+  children.forEach(child => {
+    if (child.type === Syntax.Caption) {
+      const index = args.indexOf(child.raw);
+      args[index >= 0 ? index : Math.max(args.length - 1, 0)] =
+        stringifyNode(child, childContext(child, node, context));
+    } else if (node.type === Syntax.Footnote) {
+      args[1] = stringifyNode(child, childContext(child, node, context));
+    }
+  });
+
+  const head = `//${node.name}${args.map(arg => `[${arg}]`).join('')}`;
+  const content = blockContent(node, context);
+  return content === null ? head : `${head}{\n${content}//}`;
+}
+
+/**
+ * generate content of a block.
+ * @param {TxtNode} node - Block node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Lines of the content with line endings, or null if the block has no content
+ */
+function blockContent(node, context) {
+  if (node.type === Syntax.Footnote) {
+    return null;
+  }
+
+  const args = node.args || [];
+  if (node.type === Syntax.Embed && args.length > 0 &&
+      unescapeValue(args[0], { unescapeBrackets: true }) === node.value) {
+    return null; // single line //raw[...]
+  }
+
+  if (node.value !== undefined) {
+    return node.value === '' || node.value.endsWith('\n') ? node.value : node.value + '\n';
+  }
+
+  if (node.type === Syntax.Table) {
+    return generateTableRows(node, context);
+  }
+
+  const children = (node.children || []).filter(child => child.type !== Syntax.Caption);
+  if (children.length === 0) {
+    return null;
+  }
+
+  return generateChildren(Object.assign({}, node, { children: children }), context, '\n\n') + '\n';
+}
+
+/**
+ * generate rows of a table, where header rows are followed by a separator line.
+ * @param {TxtNode} node - Table node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Lines of the rows with line endings
+ */
+function generateTableRows(node, context) {
+  const children = node.children.filter(child => child.type !== Syntax.Caption);
+  const lastHeaderIndex = children.map(child => child.isHeader).lastIndexOf(true);
+  const cellCount = Math.max.apply(null, children.map(child =>
+    (child.children || []).reduce((count, cell) => Math.max(count, cell.columnIndex + 1), 0)));
+  return children.map((child, index) => {
+    const rowContext = childContext(child, node, context);
+    let line = child.type === Syntax.TableRow && child.raw === undefined ?
+      generateTableRow(child, rowContext, cellCount) : stringifyNode(child, rowContext);
+    if (index === lastHeaderIndex) {
+      line += '\n------------';
+    }
+
+    return line + '\n';
+  }).join('');
+}
+
+/**
+ * generate row of a table, whose cells are separated by tabs. Empty cells are written as ".".
+ * @param {TxtNode} node - TableRow node
+ * @param {StringifyContext} context - Context of the node
+ * @param {number} cellCount - Number of cells in the table
+ * @return {string} Re:VIEW text
+ */
+function generateTableRow(node, context, cellCount) {
+  const cells = [];
+  node.children.forEach(child => {
+    const columnIndex = child.columnIndex !== undefined ? child.columnIndex : cells.length;
+    while (cells.length < columnIndex) {
+      cells.push('.');
+    }
+
+    const text = stringifyNode(child, childContext(child, node, context));
+    cells.push(text === '' || text.startsWith('.') ? `.${text}` : text);
+  });
+
+  while (cells.length < cellCount) {
+    cells.push('.');
+  }
+
+  return cells.join('\t');
+}
+
+/**
+ * generate inline tag like "@<b>{text}".
+ * @param {TxtNode} node - Inline node
+ * @param {StringifyContext} context - Context of the node
+ * @return {string} Re:VIEW text
+ */
+function generateInlineTag(node, context) {
+  const escapes = union(context.escapes, ['}']);
+  const children = node.children || [];
+  const text = () => generateChildren(node, context, '');
+  let content;
+  if (node.key !== undefined) {
+    content = escapeValue(node.key, escapes); // @<w>
+  } else if (node.type === Syntax.Reference) {
+    const ids = [node.chapterId, node.targetId].filter(id => id !== null && id !== undefined);
+    content = escapeValue(ids.join('|'), escapes);
+  } else if (node.name === 'kw') {
+    content = text() + (node.alt !== undefined ? `, ${node.alt}` : '');
+  } else if (node.type === Syntax.Href) {
+    const label = text();
+    content = children.length === 0 || label === node.url ? node.url : `${node.url}, ${label}`;
+  } else if (node.type === Syntax.Ruby) {
+    content = `${text()}, ${node.rubyText}`;
+  } else if (node.value !== undefined) {
+    content = escapeValue(node.value, escapes);
+  } else {
+    content = text();
+  }
+
+  return `@<${node.name}>{${content}}`;
+}
+
+/**
+ * get context of a child node.
+ * Content of inline tags needs escaping }, and content of block args needs escaping ].
+ * @param {TxtNode} child - Child node
+ * @param {TxtNode} node - Parent node
+ * @param {StringifyContext} context - Context of the parent node
+ * @return {StringifyContext} Context of the child
+ */
+function childContext(child, node, context) {
+  let escapes = context.escapes;
+  if (node && (node.type === Syntax.Caption || node.type === Syntax.Footnote)) {
+    escapes = union(escapes, [']']);
+  } else if (node && context.inline && node.name) {
+    escapes = union(escapes, ['}']);
+  }
+
+  let inline;
+  if (!node || context.inline || InlineContainerTypes.indexOf(node.type) >= 0 ||
+      node.columnIndex !== undefined) {
+    inline = true;
+  } else if (node.type === Syntax.ListItem || node.type === Syntax.DefinitionTerm) {
+    inline = !isBlockNode(child);
+  } else {
+    inline = false;
+  }
+
+  return { parent: node, escapes: escapes, inline: inline };
+}
+
+/**
+ * get separator between children of a node, used when a child is inserted.
+ * @param {TxtNode} node - Parent node
+ * @return {string} Separator
+ */
+function separatorOf(node) {
+  switch (node.type) {
+    case Syntax.Document:
+    case Syntax.Block:
+    case Syntax.Quote:
+    case Syntax.Column:
+      return '\n\n';
+    case Syntax.UnorderedList:
+    case Syntax.Table:
+    case Syntax.DefinitionTerm:
+    case Syntax.DefinitionDescription:
+      return '\n';
+    case Syntax.TableRow:
+      return '\t';
+    case Syntax.ListItem:
+      return node.columnIndex === undefined ? '\n' : '';
+    default:
+      return '';
+  }
+}
+
+function isBlockNode(node) {
+  return BlockTypes.indexOf(node.type) >= 0 || node.args !== undefined;
+}
+
+function isLineComment(node) {
+  return node.type === Syntax.Comment && !node.name || node.type === Syntax.Directive;
+}
+
+function hasRange(node) {
+  return node.raw !== undefined && node.range !== undefined;
+}
+
+function lineOf(node) {
+  return node.loc ? node.loc.start.line : null;
+}
+
+function union(escapes, additions) {
+  return escapes.concat(additions.filter(character => escapes.indexOf(character) < 0));
+}
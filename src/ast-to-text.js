@@ -0,0 +1,184 @@
+// LICENSE : MIT
+'use strict';
+import { traverse, VisitorOption } from '@textlint/ast-traverse';
+import { Syntax } from './mapping';
+import { rawIndexOf } from './positions';
+
+/**
+ * types of nodes whose content is not prose.
+ * Content of code blocks is not Str node, while their captions are extracted.
+ */
+const SkippedTypes = [
+  Syntax.Code,
+  Syntax.Comment,
+  Syntax.Reference,
+  Syntax.Embed,
+  Syntax.NonString,
+  Syntax.Directive,
+];
+
+/**
+ * names of inline tags whose content is code.
+ */
+const SkippedInlineNames = ['tt', 'tti', 'ttb'];
+
+/**
+ * names of inline tags of words, whose Reference node has the expanded word if found.
+ */
+const WordInlineNames = ['w', 'wb'];
+
+/**
+ * types of nodes whose inline content is a unit of text, which are separated by empty lines.
+ */
+const TextBlockTypes = [
+  Syntax.Paragraph,
+  Syntax.Heading,
+  Syntax.Caption,
+  Syntax.ListItem,
+  Syntax.DefinitionTerm,
+];
+
+/**
+ * extract plain text of prose from TxtNode returned by parse().
+ * Code, comments, references and raw content are skipped, while words of @<w> are extracted.
+ * Paragraphs, headings, captions, list items and table cells are separated by empty lines,
+ * and lines in them are separated by line endings unless softBreaks option is enabled.
+ * @param {TxtNode} ast - Document node
+ * @return {{text: string, positionOf: function}} Plain text and the function to get
+ *   {index, line, column} in the original document from an offset in the text
+ */
+export function extractText(ast) {
+  const segments = [];
+  const blocks = [];
+  let text = '';
+  let lastStrNode = null;
+  let lastBlock = null;
+  traverse(ast, {
+    enter(node, parent) {
+      if (isSkipped(node)) {
+        return VisitorOption.Skip;
+      }
+
+      if (TextBlockTypes.indexOf(node.type) >= 0) {
+        blocks.push(node);
+      }
+
+      if (node.type !== Syntax.Str) {
+        return;
+      }
+
+      const block = blocks[blocks.length - 1] || null;
+      if (lastStrNode) {
+        let separator = '';
+        if (block !== lastBlock) {
+          separator = '\n\n';
+        } else if (node.loc.start.line !== lastStrNode.loc.end.line) {
+          separator = '\n';
+        }
+
+        if (separator !== '') {
+          segments.push({ offset: text.length, position: endPositionOf(lastStrNode) });
+          text += separator;
+        }
+      }
+
+      if (isWord(parent)) {
+        // expanded word is mapped to the beginning of @<w>
+        segments.push({ offset: text.length, position: startPositionOf(node) });
+      } else {
+        segments.push({ offset: text.length, node: node });
+      }
+
+      text += node.value;
+      lastStrNode = node;
+      lastBlock = block;
+    },
+    leave(node) {
+      if (blocks[blocks.length - 1] === node) {
+        blocks.pop();
+      }
+    },
+  });
+
+  return {
+    text: text,
+    positionOf: offset => positionOf(segments, offset),
+  };
+}
+
+function isSkipped(node) {
+  if (isWord(node)) {
+    return false;
+  }
+
+  if (SkippedTypes.indexOf(node.type) >= 0 || SkippedInlineNames.indexOf(node.name) >= 0) {
+    return true;
+  }
+
+  // URL written as the label of @<href>
+  return node.type === Syntax.Href &&
+    (node.children.length === 0 || node.children[0].value === node.url);
+}
+
+function isWord(node) {
+  return Boolean(node) && node.type === Syntax.Reference && WordInlineNames.indexOf(node.name) >= 0;
+}
+
+/**
+ * get the position in the original document from an offset in the extracted text.
+ * Offsets in separators are mapped to the end of the preceding Str node.
+ * @param {[Segment]} segments - Segments of Str nodes and separators sorted by offset
+ * @param {number} offset - Offset in the extracted text
+ * @return {{index: number, line: number, column: number}} Position, or null if text is empty
+ */
+function positionOf(segments, offset) {
+  // binary search of the last segment starting at or before the offset
+  let low = 0;
+  let high = segments.length - 1;
+  let found = null;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (segments[middle].offset <= offset) {
+      found = segments[middle];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  if (!found) {
+    return null;
+  }
+
+  if (found.position) {
+    return found.position;
+  }
+
+  const node = found.node;
+  if (node.softBreak) {
+    return startPositionOf(node);
+  }
+
+  const rawIndex = rawIndexOf(node, offset - found.offset);
+  return {
+    index: node.range[0] + rawIndex,
+    line: node.loc.start.line,
+    column: node.loc.start.column + rawIndex,
+  };
+}
+
+function startPositionOf(node) {
+  return {
+    index: node.range[0],
+    line: node.loc.start.line,
+    column: node.loc.start.column,
+  };
+}
+
+function endPositionOf(node) {
+  return {
+    index: node.range[1],
+    line: node.loc.end.line,
+    column: node.loc.end.column,
+  };
+}
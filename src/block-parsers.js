@@ -1,32 +1,52 @@
 // LICENSE : MIT
 'use strict';
 import { Syntax } from './mapping';
-import { parseText, parseLine } from './inline-parsers';
+import { parseLinesAsChunks, blockContentLines } from './chunker';
+import { parseChunks } from './chunk-parsers';
+import { BlockStrategies } from './options';
+import { parseText } from './inline-parsers';
 import {
-  createNodeFromChunk, createNodeFromLinesInChunk, createCommentNodeFromLine, createInlineNode,
-  contextFromLine, contextNeedsUnescapeBrackets
+  createNodeFromChunk, createNodeFromLine, createCommentNodeFromLine, createInlineNode,
+  contextFromLine, contextNeedsUnescapeBrackets, unescapeValue, reportError
 } from './parser-utils';
 
 export const BlockParsers = {
   table: withCaption(1, parseTable),
+  emtable: withCaption(0, parseTable),
   footnote: parseFootnote,
+  endnote: parseFootnote,
   quote: parseQuote,
+  blockquote: parseQuote,
+  doorquote: parseQuote, // NOTE: the argument is a name of the speaker, which is not linted
 
   list: withCaption(1, parseCodeBlock),
   listnum: withCaption(1, parseCodeBlock),
   emlist: withCaption(0, parseCodeBlock),
   emlistnum: withCaption(0, parseCodeBlock),
-  source: parseCodeBlock,
-  cmd: parseCodeBlock,
+  source: withCaption(0, parseCodeBlock),
+  cmd: withCaption(0, parseCodeBlock),
+  box: withCaption(0, parseCodeBlock),
+  insn: withCaption(0, parseCodeBlock),
 
   image: withCaption(1, parseImage),
   indepimage: withCaption(1, parseImage),
   numberlessimage: withCaption(1, parseImage),
-  graph: withCaption(2, parseImage),
+  graph: withCaption(2, parseGraph),
   imgtable: withCaption(1, parseImage),
 
+  texequation: withCaption(1, parseMath),
+  embed: parseEmbed,
+  raw: parseEmbed,
+  comment: parseCommentBlock,
+
   lead: parseLead,
   read: parseLead,
+  bibpaper: withCaption(1, parseGenericBlock),
+  talk: parseGenericBlock,
+  flushright: parseGenericBlock,
+  centering: parseGenericBlock,
+  address: parseGenericBlock,
+  bpo: parseGenericBlock,
 
   note: withCaption(0, parseShortColumn),
   memo: withCaption(0, parseShortColumn),
@@ -36,22 +56,94 @@ export const BlockParsers = {
   important: withCaption(0, parseShortColumn),
   caution: withCaption(0, parseShortColumn),
   notice: withCaption(0, parseShortColumn),
+  point: withCaption(0, parseShortColumn),
+  shoot: withCaption(0, parseShortColumn),
+  reference: parseShortColumn,
+  term: parseShortColumn,
+  practice: parseShortColumn,
+  expert: parseShortColumn,
+
+  // blocks having no text
+  printendnotes: parseIgnoredBlock,
+  noindent: parseIgnoredBlock,
+  blankline: parseIgnoredBlock,
+  pagebreak: parseIgnoredBlock,
+  hr: parseIgnoredBlock,
+  parasep: parseIgnoredBlock,
+  label: parseIgnoredBlock,
+  tsize: parseIgnoredBlock,
+  include: parseIgnoredBlock,
+  olnum: parseIgnoredBlock,
+  firstlinenum: parseIgnoredBlock,
 };
 
+/**
+ * parsers of blocks whose content is parsed as chunks, i.e. they can contain other blocks.
+ */
+const ContentBlockParsers = [parseQuote, parseLead, parseShortColumn, parseGenericBlock];
+
+/**
+ * check whether content of the block is parsed as chunks, which may contain nested blocks.
+ * Unknown blocks and custom blocks are nestable if they are parsed with prose strategy.
+ * @param {string} name - Name of the block
+ * @param {Options} options - Options of the plugin
+ * @return {boolean} true if the block can contain other blocks
+ */
+export function isNestableBlock(name, options) {
+  const parser = findBlockParser(name, options);
+  return ContentBlockParsers.indexOf(parser.blockParser || parser) >= 0;
+}
+
+/**
+ * find parser to parse the block considering options.
+ * @param {string} name - Name of the block
+ * @param {Options} options - Options of the plugin
+ * @return {function} parser function
+ */
+export function findBlockParser(name, options) {
+  const blockOption = options.blocks[name];
+  if (blockOption) {
+    const parser = strategyBlockParser(blockOption.strategy);
+    return blockOption.caption !== undefined ? withCaption(blockOption.caption, parser) : parser;
+  }
+
+  return BlockParsers[name] || strategyBlockParser(options.unknownBlock);
+}
+
+/**
+ * return parser to parse block according to the strategy.
+ * @param {string} strategy - One of BlockStrategies
+ * @return {function} parser function
+ */
+function strategyBlockParser(strategy) {
+  switch (strategy) {
+    case BlockStrategies.Code:
+      return parseCodeBlock;
+    case BlockStrategies.NonString:
+      return parseNonStringBlock;
+    case BlockStrategies.Ignore:
+      return parseIgnoredBlock;
+    default:
+      return parseGenericBlock;
+  }
+}
+
 /**
  * return new parser to parse block with caption.
+ * The wrapped parser is stored in blockParser property of the new parser.
  * @param {number} captionIndex - index of caption in block args
  * @param {function} blockParser - Parser function of a block
  * @return {function} parser function
  */
 function withCaption(captionIndex, blockParser) {
-  return function (block) {
+  const parser = function (block) {
     const node = blockParser(block);
 
     if (captionIndex !== null) {
       const blockArg = block.args[captionIndex];
       if (blockArg) {
-        const caption = parseBlockArg(Syntax.Caption, blockArg, block.chunk.lines[0]);
+        const caption = parseBlockArg(Syntax.Caption, blockArg, block.chunk.lines[0],
+                                      block.options);
         if (caption) {
           node.children = node.children || [];
           node.children.unshift(caption);
@@ -61,10 +153,14 @@ function withCaption(captionIndex, blockParser) {
 
     return node;
   };
+  parser.blockParser = blockParser;
+  return parser;
 }
 
 /**
  * parse table block.
+ * Rows above the separator line are header rows. If the table has no separator line,
+ * the first cell of each row is a header cell as Re:VIEW does.
  * @param {Block} block - Block to parse
  * @return {TxtNode} Table node
  */
@@ -72,31 +168,62 @@ function parseTable(block) {
   const node = createNodeFromChunk(block.chunk, Syntax.Table);
   node.children = [];
 
-  block.chunk.lines.slice(1, block.chunk.lines.length - 1).forEach(line => {
-    Array.prototype.push.apply(node.children, parseTableContent(line));
+  const lines = blockContentLines(block.chunk);
+  const hasSeparator = lines.some(isTableSeparator);
+  let isHeader = hasSeparator;
+  let headerCellCount = null;
+  lines.forEach(line => {
+    if (line.isComment) {
+      node.children.push(createCommentNodeFromLine(line));
+      return;
+    }
+
+    if (isTableSeparator(line)) {
+      isHeader = false;
+      return;
+    }
+
+    if (line.text === '') {
+      return;
+    }
+
+    const row = parseTableRow(line, isHeader, hasSeparator, block.options);
+    if (headerCellCount === null) {
+      headerCellCount = row.cellCount;
+    } else if (row.cellCount !== headerCellCount) {
+      reportError(block.options,
+                  `Row has ${row.cellCount} cells, but header has ${headerCellCount} cells`,
+                  contextFromLine(line));
+    }
+
+    node.children.push(row.node);
   });
 
   return node;
 }
 
+function isTableSeparator(line) {
+  return !line.isComment && /^-+$/.test(line.text);
+}
+
 /**
- * parse line in a table.
+ * parse row in a table.
  * @param {Line} line - Line to parse
- * @return {[TxtNode]} ListItem nodes in the line
+ * @param {boolean} isHeaderRow - Whether the row is above the separator line
+ * @param {boolean} hasSeparator - Whether the table has the separator line
+ * @param {Options} options - Options of the plugin
+ * @return {{node: TxtNode, cellCount: number}} TableRow node and number of cells in the row
  */
-function parseTableContent(line) {
-  if (line.isComment) {
-    return [createCommentNodeFromLine(line)];
-  }
+function parseTableRow(line, isHeaderRow, hasSeparator, options) {
+  const rowNode = createNodeFromLine(Syntax.TableRow, line);
+  rowNode.isHeader = isHeaderRow;
+  rowNode.children = [];
 
-  if (line.text.match(/^-+$/)) {
-    return [];  // Ignore horizontal line
-  }
-
-  const nodes = [];
   const cellRegex = /[^\t]+/g;
+  let cellCount = 0;
   var match;
   while (match = cellRegex.exec(line.text)) {
+    const columnIndex = cellCount++;
     let startColumn = match.index;
     let cellContent = match[0];
     if (cellContent.startsWith('.')) {
@@ -105,16 +232,18 @@ function parseTableContent(line) {
     }
 
     if (cellContent === '') {
-      continue;
+      continue; // empty cell
     }
 
     const context = contextFromLine(line, startColumn);
     const cellNode = createInlineNode(Syntax.TableCell, cellContent, context);
-    cellNode.children = parseText(cellContent, context);
-    nodes.push(cellNode);
+    cellNode.isHeader = hasSeparator ? isHeaderRow : columnIndex === 0;
+    cellNode.columnIndex = columnIndex;
+    cellNode.children = parseText(cellContent, context, options);
+    rowNode.children.push(cellNode);
   }
 
-  return nodes;
+  return { node: rowNode, cellCount: cellCount };
 }
 
 /**
@@ -124,7 +253,14 @@ function parseTableContent(line) {
  */
 function parseFootnote(block) {
   const node = createNodeFromChunk(block.chunk, Syntax.Footnote);
-  const footnoteParagraph = parseBlockArg(Syntax.Paragraph, block.args[1], block.chunk.lines[0]);
+  if (!block.args[1]) {
+    reportError(block.options, `//${block.name} requires a text`,
+                contextFromLine(block.chunk.lines[0]));
+    return node;
+  }
+
+  const footnoteParagraph = parseBlockArg(Syntax.Paragraph, block.args[1], block.chunk.lines[0],
+                                          block.options);
   if (footnoteParagraph) {
     node.children = [footnoteParagraph];
   }
@@ -148,11 +284,7 @@ function parseQuote(block) {
  */
 function parseCodeBlock(block) {
   const node = createNodeFromChunk(block.chunk, Syntax.CodeBlock);
-  node.value = block.chunk.lines
-    .slice(1, block.chunk.lines.length - 1)
-    .filter(line => !line.isComment)
-    .map(line => line.raw)
-    .join('');
+  node.value = blockContentValue(block);
   return node;
 }
 
@@ -165,6 +297,69 @@ function parseImage(block) {
   return createNodeFromChunk(block.chunk, Syntax.Image);
 }
 
+/**
+ * parse graph block, whose content is a source of the graph.
+ * @param {Block} block - Block to parse
+ * @return {TxtNode} Image node
+ */
+function parseGraph(block) {
+  const node = parseImage(block);
+  node.value = blockContentValue(block);
+  return node;
+}
+
+/**
+ * parse equation block, e.g. //texequation.
+ * @param {Block} block - Block to parse
+ * @return {TxtNode} NonString node
+ */
+function parseMath(block) {
+  const node = createNodeFromChunk(block.chunk, Syntax.Math);
+  node.value = blockContentValue(block);
+  return node;
+}
+
+/**
+ * parse block embedding raw content, e.g. //embed and single-line //raw.
+ * @param {Block} block - Block to parse
+ * @return {TxtNode} Html node
+ */
+function parseEmbed(block) {
+  const node = createNodeFromChunk(block.chunk, Syntax.Embed);
+  if (block.chunk.lines.length > 1) {
+    node.value = blockContentValue(block);
+  } else if (block.args[0]) {
+    node.value = unescapeValue(block.args[0].value, { unescapeBrackets: true });
+  } else {
+    node.value = '';
+  }
+
+  return node;
+}
+
+/**
+ * parse comment block.
+ * @param {Block} block - Block to parse
+ * @return {TxtNode} Comment node
+ */
+function parseCommentBlock(block) {
+  const node = createNodeFromChunk(block.chunk, Syntax.Comment);
+  node.value = blockContentValue(block);
+  return node;
+}
+
+/**
+ * return content of a block as a string except comment lines.
+ * @param {Block} block - Block
+ * @return {string} content of the block
+ */
+function blockContentValue(block) {
+  return blockContentLines(block.chunk)
+    .filter(line => !line.isComment)
+    .map(line => line.raw)
+    .join('');
+}
+
 /**
  * parse lead block.
  * @param {Block} block - Block to parse
@@ -184,7 +379,36 @@ function parseShortColumn(block) {
 }
 
 /**
- * parse a block with content. which is parsed as paragraphs.
+ * parse block having no special meanings.
+ * @param {Block} block - Block to parse
+ * @return {TxtNode} Block node
+ */
+function parseGenericBlock(block) {
+  return parseBlockWithContent(block, Syntax.Block);
+}
+
+/**
+ * parse block whose content is non-string stuffs like equation.
+ * @param {Block} block - Block to parse
+ * @return {TxtNode} NonString node
+ */
+function parseNonStringBlock(block) {
+  return createNodeFromChunk(block.chunk, Syntax.NonString);
+}
+
+/**
+ * parse block whose content is not linted.
+ * @param {Block} block - Block to parse
+ * @return {TxtNode} Block node without children
+ */
+function parseIgnoredBlock(block) {
+  const node = createNodeFromChunk(block.chunk, Syntax.Block);
+  node.children = [];
+  return node;
+}
+
+/**
+ * parse a block with content, which is parsed as chunks, e.g. paragraphs, lists and nested blocks.
  * @param {Block} block - line to parse
  * @param {string} type - Type of node
  * @return {[TxtNode]} TxtNode
@@ -192,31 +416,9 @@ function parseShortColumn(block) {
 export function parseBlockWithContent(block, type) {
   const chunk = block.chunk;
   const node = createNodeFromChunk(chunk, type);
-  node.children = [];
-
-  let lines = [];
-  const flushParagraph = function () {
-    if (lines.length > 0) {
-      const paragraph = createNodeFromLinesInChunk(Syntax.Paragraph, lines, chunk);
-      paragraph.children = [];
-      lines.forEach(line => {
-        Array.prototype.push.apply(paragraph.children, parseLine(line));
-      });
-      node.children.push(paragraph);
-    }
-
-    lines = [];
-  };
-
-  chunk.lines.slice(1, chunk.lines.length - 1).forEach(line => {
-    if (line.text === '') {
-      flushParagraph();
-    } else {
-      lines.push(line);
-    }
-  });
-
-  flushParagraph();
+  const childChunks = chunk.children ||
+    parseLinesAsChunks(blockContentLines(chunk), block.options);
+  node.children = parseChunks(childChunks, block.options);
 
   return node;
 }
@@ -226,9 +428,10 @@ export function parseBlockWithContent(block, type) {
  * @param {string} type - Type of node
  * @param {Arg} blockArg - Arg of a block to parse
  * @param {Line} line - line where Arg exists
+ * @param {Options} options - Options of the plugin
  * @return {TxtNode}
  */
-export function parseBlockArg(type, blockArg, line) {
+export function parseBlockArg(type, blockArg, line, options) {
   const argText = blockArg.value;
   if (!argText) {
     return null;
@@ -237,7 +440,7 @@ export function parseBlockArg(type, blockArg, line) {
   const startColumn = blockArg.startColumn;
   const blockArgContext = contextNeedsUnescapeBrackets(contextFromLine(line, startColumn));
   const argNode = createInlineNode(type, argText, blockArgContext);
-  argNode.children = parseText(argText, blockArgContext);
+  argNode.children = parseText(argText, blockArgContext, options);
   return argNode;
 }
 
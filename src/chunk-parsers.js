@@ -2,105 +2,392 @@
 'use strict';
 import assert from 'assert';
 import { Syntax } from './mapping';
-import { BlockParsers } from './block-parsers';
+import { ChunkTypes } from './chunker';
+import { findBlockParser } from './block-parsers';
 import { parseText, parseLine } from './inline-parsers';
 import {
-  parseBlockArgs, createNodeFromChunk, createNodeFromLine, createCommentNodeFromLine,
-  createStrNode, contextFromLine
+  parseBlockArgs, createNodeFromChunk, createNodeFromLinesInChunk, createNodeFromLine,
+  createCommentNodeFromLine,
+  contextFromLine, reportError
 } from './parser-utils';
 
 export const ChunkParsers = {
   Paragraph: parseParagraph,
   Heading: parseHeading,
-  UnorderedList: chunk => parseList(/^\s+\*+\s+/, chunk),
-  OrderedList: chunk => parseList(/^\s+\d+\.\s+/, chunk),
-  DefinitionList: chunk => parseList(/^(\s+:\s+|\s+)/, chunk),
+  UnorderedList: (chunk, options) => parseList(/^\s+(\*+)\s+/, chunk, options),
+  OrderedList: (chunk, options) => parseList(/^\s+\d+\.\s+/, chunk, options),
+  DefinitionList: parseDefinitionList,
   Block: parseBlock,
+  Column: parseColumn,
+  Directive: parseDirective,
   Comment: parseComment,
 };
 
+/**
+ * parse chunks and return nodes.
+ * @param {[Chunk]} chunks - Chunks to parse
+ * @param {Options} options - Options of the plugin
+ * @return {[TxtNode]} TxtNodes
+ */
+export function parseChunks(chunks, options) {
+  const nodes = [];
+  chunks.forEach(chunk => {
+    const parser = ChunkParsers[chunk.type];
+    const node = parser(chunk, options);
+    if (node !== null) {
+      nodes.push(node);
+    }
+  });
+
+  return nodes;
+}
+
 /**
  * parse paragraph chunk.
  * @param {Chunk} chunk - Chunk to parse
+ * @param {Options} options - Options of the plugin
  * @return {TxtNode} Paragraph node
  */
-export function parseParagraph(chunk) {
+export function parseParagraph(chunk, options) {
   const node = createNodeFromChunk(chunk);
-  node.children = [];
-  chunk.lines.forEach(line => {
-    Array.prototype.push.apply(node.children, parseLine(line));
+  node.children = parseLinesWithSoftBreaks(chunk.lines, line => parseLine(line, options), options);
+  return node;
+}
+
+/**
+ * parse lines in a paragraph, inserting soft breaks between them if softBreaks option is enabled.
+ * @param {[Line]} lines - Lines in a paragraph including comment lines
+ * @param {function} parseContent - Function to parse a line into nodes
+ * @param {Options} options - Options of the plugin
+ * @return {[TxtNode]} Nodes of the lines
+ */
+function parseLinesWithSoftBreaks(lines, parseContent, options) {
+  const nodes = [];
+  const textLines = lines.filter(line => !line.isComment);
+  lines.forEach(line => {
+    Array.prototype.push.apply(nodes, parseContent(line));
+
+    const nextTextLine = line.isComment ? null : textLines[textLines.indexOf(line) + 1];
+    if (options.softBreaks && nextTextLine) {
+      nodes.push(createSoftBreakNode(line, nextTextLine));
+    }
   });
+  return nodes;
+}
+
+/**
+ * create Str node of the line ending between lines in a paragraph.
+ * Like Re:VIEW, Japanese lines are joined without a space, and other lines with a space.
+ * @param {Line} line - Line having the line ending
+ * @param {Line} nextLine - Next line to be joined
+ * @return {TxtNode} Str node whose value is a space or an empty string
+ */
+function createSoftBreakNode(line, nextLine) {
+  const startIndex = line.startIndex + line.text.length;
+  const node = {
+    type: Syntax.SoftBreak,
+    raw: line.raw.slice(line.text.length),
+    range: [startIndex, line.startIndex + line.raw.length],
+    loc: {
+      start: {
+        line: line.lineNumber,
+        column: line.text.length,
+      },
+      end: {
+        line: line.lineNumber + 1,
+        column: 0,
+      },
+    },
+  };
+  const isCJK = c => /[\u1100-\u11ff\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/.test(c);
+  const nextText = nextLine.text.replace(/^\s+/, ''); // indent of descriptions is ignored
+  const joinsWithSpace = !isCJK(line.text.slice(-1)) && !isCJK(nextText.charAt(0));
+  node.value = joinsWithSpace ? ' ' : '';
+  node.softBreak = true;
   return node;
 }
 
 /**
  * parse heading chunk.
  * @param {Chunk} chunk - Chunk to parse
+ * @param {Options} options - Options of the plugin
  * @return {TxtNode} Heading node
  */
-export function parseHeading(chunk) {
+export function parseHeading(chunk, options) {
   assert(chunk.lines.length === 1);
   const line = chunk.lines[0];
-  const match = line.text.match(/(=+)\S*\s*(.*)/);  // \S* skip [column] and {ch01}
+  // e.g. "==[column]{id} label"
+  const match = line.text.match(/^(=+)(?:\[(.+?)\])?(?:\{(.+?)\})?\s*(.*)$/);
   const depth = match[1].length;
-  const label = match[2].trim();
-  const labelOffset = line.text.indexOf(label);
-  assert(labelOffset >= 0);
-  const strNode = createStrNode(label, contextFromLine(line, labelOffset));
+  const label = match[4].replace(/\s+$/, '');
+  const labelOffset = line.text.length - match[4].length;
   const heading = createNodeFromLine(Syntax.Heading, line);
   heading.depth = depth;
   heading.label = label;
-  heading.children = [strNode];
+  heading.id = match[3] || null;
+  heading.options = match[2] ? [match[2]] : [];
+  heading.children = [];
+  if (label === '') {
+    reportError(options, 'Heading has no title', contextFromLine(line));
+    return heading;
+  }
+
+  heading.children = parseText(label, contextFromLine(line, labelOffset), options);
 
   return heading;
 }
 
 /**
  * parse list chunk.
+ * Items are nested by depth, which is captured by the first group of prefixRegex if exists.
+ * Chunks between //beginchild and //endchild are parsed as children of the preceding item.
+ * @param {RegExp} prefixRegex - Regex matching prefix of an item
  * @param {Chunk} chunk - Chunk to parse
- * @return {TxtNode} Block node
+ * @param {Options} options - Options of the plugin
+ * @return {TxtNode} List node
  */
-export function parseList(prefixRegex, chunk) {
-  const node = createNodeFromChunk(chunk);
-  node.children = [];
-  chunk.lines.forEach(line => {
+export function parseList(prefixRegex, chunk, options) {
+  // build tree of items whose entries are sub items and comments
+  const root = { depth: 0, entries: [] };
+  const stack = [root];
+  // comments are added to the list of the preceding item, or the sub list of the item
+  // if the following item is its child, so that entries are in order of lines
+  let comments = [];
+  (chunk.listLines || chunk.lines).forEach(line => {
+    if (line.text === '') {
+      return; // empty line around //beginchild and //endchild
+    }
+
     if (line.isComment) {
-      node.children.push(createCommentNodeFromLine(line));
+      comments.push({ line });
       return;
     }
 
-    const itemNode = createNodeFromLine(Syntax.ListItem, line);
-    itemNode.children = [];
+    const lastItem = stack[stack.length - 1];
+    const lastList = stack.length > 1 ? stack[stack.length - 2] : root;
+    const match = line.text.match(prefixRegex);
+    const depth = match && match[1] ? match[1].length : 1;
+    while (stack[stack.length - 1].depth >= depth) {
+      stack.pop();
+    }
+
+    const parent = stack[stack.length - 1];
+    if (depth > parent.depth + 1) {
+      reportError(options, 'List item is too deep', contextFromLine(line));
+    }
+
+    const item = { line, depth, entries: [] };
+    Array.prototype.push.apply((parent === lastItem ? parent : lastList).entries, comments);
+    comments = [];
+    parent.entries.push(item);
+    stack.push(item);
+  });
+
+  const lastList = stack.length > 1 ? stack[stack.length - 2] : root;
+  Array.prototype.push.apply(lastList.entries, comments);
+
+  const ordered = chunk.type === ChunkTypes.OrderedList;
+  const node = createNodeFromChunk(chunk);
+  node.depth = 1;
+  node.ordered = ordered;
+  node.children = root.entries.map(createEntryNode);
+  return node;
+
+  function createEntryNode(entry) {
+    if (entry.line.isComment) {
+      return createCommentNodeFromLine(entry.line);
+    }
+
+    const line = entry.line;
+    const itemNode = createNodeFromLinesInChunk(Syntax.ListItem, [line, lastLineOf(entry)], chunk);
+    itemNode.depth = entry.depth;
     const itemText = line.text.replace(prefixRegex, '');
     const startColumn = line.text.length - itemText.length;
-    Array.prototype.push.apply(itemNode.children,
-                               parseText(itemText, contextFromLine(line, startColumn)));
+    itemNode.children = parseText(itemText, contextFromLine(line, startColumn), options);
+
+    const childNodes = line.childChunks ? parseChunks(line.childChunks, options) : [];
+    if (entry.entries.length > 0) {
+      const entries = entry.entries;
+      const listNode = createNodeFromLinesInChunk(
+        Syntax[chunk.type], [entries[0].line, lastLineOf(entries[entries.length - 1])], chunk);
+      listNode.depth = entry.depth + 1;
+      listNode.ordered = ordered;
+      listNode.children = entries.map(createEntryNode);
+      childNodes.push(listNode);
+    }
+
+    // child chunks and sub list may appear in any order
+    childNodes.sort((a, b) => a.range[0] - b.range[0]);
+    Array.prototype.push.apply(itemNode.children, childNodes);
+    return itemNode;
+  }
+
+  function lastLineOf(entry) {
+    let lastLine = entry.line;
+    const childChunks = entry.line.childChunks || [];
+    if (childChunks.length > 0) {
+      const lastChunk = childChunks[childChunks.length - 1];
+      lastLine = lastChunk.lines[lastChunk.lines.length - 1];
+    }
+
+    if (entry.entries && entry.entries.length > 0) {
+      const lastEntryLine = lastLineOf(entry.entries[entry.entries.length - 1]);
+      if (lastEntryLine.lineNumber > lastLine.lineNumber) {
+        lastLine = lastEntryLine;
+      }
+    }
+
+    return lastLine;
+  }
+}
+
+/**
+ * parse definition list chunk.
+ * Continuation lines following a term are parsed as a paragraph in a description.
+ * @param {Chunk} chunk - Chunk to parse
+ * @param {Options} options - Options of the plugin
+ * @return {TxtNode} List node
+ */
+export function parseDefinitionList(chunk, options) {
+  const entries = [];
+  let description = null;
+  (chunk.listLines || chunk.lines).forEach(line => {
+    if (line.text === '') {
+      return; // empty line around //beginchild and //endchild
+    }
 
-    node.children.push(itemNode);
+    if (line.isComment && !description) {
+      entries.push({ type: Syntax.Comment, lines: [line] });
+    } else if (line.text.match(/^\s+:\s+/)) {
+      description = null;
+      entries.push({ type: Syntax.DefinitionTerm, lines: [line] });
+    } else {
+      if (!description) {
+        description = { type: Syntax.DefinitionDescription, lines: [] };
+        entries.push(description);
+      }
+
+      description.lines.push(line);
+    }
+  });
+
+  const node = createNodeFromChunk(chunk);
+  node.depth = 1;
+  node.children = entries.map(entry => {
+    switch (entry.type) {
+      case Syntax.Comment:
+        return createCommentNodeFromLine(entry.lines[0]);
+      case Syntax.DefinitionTerm:
+        return createEntryNode(entry, line => {
+          const termText = line.text.replace(/^\s+:\s+/, '');
+          const startColumn = line.text.length - termText.length;
+          return parseText(termText, contextFromLine(line, startColumn), options);
+        });
+      default:
+        return createEntryNode(entry, () => {
+          const paragraph = createNodeFromLinesInChunk(Syntax.Paragraph, entry.lines, chunk);
+          paragraph.children = parseLinesWithSoftBreaks(entry.lines, parseDescriptionLine, options);
+          return [paragraph];
+        });
+    }
   });
   return node;
+
+  function createEntryNode(entry, parseContent) {
+    const childChunks = [];
+    entry.lines.forEach(line => {
+      Array.prototype.push.apply(childChunks, line.childChunks || []);
+    });
+
+    let lastLine = entry.lines[entry.lines.length - 1];
+    if (childChunks.length > 0) {
+      const lastChunk = childChunks[childChunks.length - 1];
+      lastLine = lastChunk.lines[lastChunk.lines.length - 1];
+    }
+
+    const entryNode = createNodeFromLinesInChunk(entry.type, [entry.lines[0], lastLine], chunk);
+    entryNode.children = parseContent(entry.lines[0]).concat(parseChunks(childChunks, options));
+    return entryNode;
+  }
+
+  function parseDescriptionLine(line) {
+    if (line.isComment) {
+      return [createCommentNodeFromLine(line)];
+    }
+
+    const text = line.text.replace(/^\s+/, '');
+    return parseText(text, contextFromLine(line, line.text.length - text.length), options);
+  }
 }
 
 /**
  * parse block chunk.
  * @param {Chunk} chunk - Chunk to parse
+ * @param {Options} options - Options of the plugin
  * @return {TxtNode} Block node
  */
-export function parseBlock(chunk) {
+export function parseBlock(chunk, options) {
   const line = chunk.lines[0];
   const match = line.text.match(/^\/\/(\w+)(.*)\{?$/);
   const block = {
     name: match[1],
     args: parseBlockArgs(match[2], 2 + match[1].length),
     chunk: chunk,
+    options: options,
   };
-  const parser = BlockParsers[block.name];
 
-  if (!parser) {
-    return null;
+  const lastArg = block.args[block.args.length - 1];
+  const argsEndColumn = lastArg ?
+    lastArg.startColumn + lastArg.value.length + 1 : 2 + block.name.length;
+  if (line.text[argsEndColumn] === '[') {
+    reportError(options, `Argument of //${block.name} is not closed with ]`,
+                contextFromLine(line, argsEndColumn));
+  }
+  const parser = findBlockParser(block.name, options);
+
+  const node = parser(block);
+  if (node !== null) {
+    node.name = block.name;
+    node.args = block.args.map(arg => arg.value);
   }
 
-  return parser(block);
+  return node;
+}
+
+/**
+ * parse column chunk.
+ * @param {Chunk} chunk - Chunk to parse
+ * @param {Options} options - Options of the plugin
+ * @return {TxtNode} Column node
+ */
+export function parseColumn(chunk, options) {
+  const node = createNodeFromChunk(chunk);
+  node.children = parseChunks(chunk.children, options);
+
+  return node;
+}
+
+/**
+ * parse directive chunk of review-preproc.
+ * Content of the directive is generated from other file, so it is parsed as a code block.
+ * @param {Chunk} chunk - Chunk to parse
+ * @return {TxtNode} Directive node
+ */
+export function parseDirective(chunk) {
+  const directive = chunk.directive;
+  const node = createNodeFromChunk(chunk);
+  node.name = directive.name;
+  node.args = directive.args;
+  node.children = [];
+  const contentLines = directive.contentLines.filter(line => chunk.lines.indexOf(line) >= 0);
+  if (contentLines.length > 0) {
+    const codeNode = createNodeFromLinesInChunk(Syntax.CodeBlock, contentLines, chunk);
+    codeNode.value = contentLines.map(line => line.text).join('\n');
+    codeNode.generated = true;
+    node.children.push(codeNode);
+  }
+
+  return node;
 }
 
 /**
@@ -1,5 +1,9 @@
 // LICENSE : MIT
 'use strict';
+import { normalizeOptions } from './options';
+import { reportError, contextFromLine } from './parser-utils';
+import { parseDirectives, RegionDirectiveNames } from './preprocessor';
+import { isNestableBlock } from './block-parsers';
 
 export const ChunkTypes = {
   Paragraph: 'Paragraph',
@@ -8,43 +12,186 @@ export const ChunkTypes = {
   OrderedList: 'OrderedList',
   DefinitionList: 'DefinitionList',
   Block: 'Block',
+  Column: 'Column', // section between ==[column] and ==[/column], which has child chunks
+  Directive: 'Directive', // directive of review-preproc like #@mapfile(foo.js) ... #@end
 
   // NOTE: Comment chunk means an independent comment line. Other chunks may include comment lines.
   Comment: 'Comment',
 };
 
+const ListChunkTypes = [
+  ChunkTypes.UnorderedList,
+  ChunkTypes.OrderedList,
+  ChunkTypes.DefinitionList,
+];
+
 /**
  * parse text and return array of chunks.
  * @param {string} text
+ * @param {Options} [options] - Options of the plugin
  * @return {[Chunk]}
  */
-export function parseAsChunks(text) {
-  const lines = text.match(/(?:.*\r?\n|.+$)/g); // split lines preserving line endings
-  //console.log(lines);
-  var startIndex = 0;
-  var currentChunk = null;
+export function parseAsChunks(text, options=normalizeOptions()) {
+  return parseDocumentLines(splitLines(text), options);
+}
 
-  const chunks = lines.reduce(function (result, currentLine, index) {
+/**
+ * split text into lines.
+ * @param {string} text
+ * @return {[Line]} Lines
+ */
+export function splitLines(text) {
+  const lines = text.match(/(?:.*\r?\n|.+$)/g) || []; // split lines preserving line endings
+  let startIndex = 0;
+  return lines.map((currentLine, index) => {
     const line = {
       raw: currentLine, // with line endings
       text: currentLine.replace(/\r?\n$/, ''), // without line endings
       lineNumber: index + 1,
       startIndex: startIndex,
     };
-    parseLine(result, line);
     startIndex += currentLine.length;
+    return line;
+  });
+}
+
+/**
+ * parse all lines of a document and return array of chunks.
+ * Lines beginning directives of review-preproc are marked with directive property.
+ * @param {[Line]} lines - All lines of the text
+ * @param {Options} [options] - Options of the plugin
+ * @return {[Chunk]}
+ */
+export function parseDocumentLines(lines, options=normalizeOptions()) {
+  parseDirectives(lines, options);
+  return groupColumns(parseLinesAsChunks(lines, options), lines, options);
+}
+
+/**
+ * group chunks between ==[column] and ==[/column] into Column chunks.
+ * A column is also closed by a heading whose level is same or higher than the column.
+ * @param {[Chunk]} chunks - Chunks to group
+ * @param {[Line]} lines - All lines of the text
+ * @param {Options} options - Options of the plugin
+ * @return {[Chunk]} Grouped chunks
+ */
+function groupColumns(chunks, lines, options) {
+  const result = [];
+  let column = null;
+
+  chunks.forEach(chunk => {
+    const match = chunk.type === ChunkTypes.Heading ?
+      chunk.lines[0].text.match(/^(=+)(?:\[(.+?)\])?/) : null;
+    if (match && match[2] === '/column') {
+      if (column) {
+        closeColumn(chunk.lines[0]);
+      } else {
+        reportError(options, '==[/column] appears without corresponding ==[column]',
+                    contextFromLine(chunk.lines[0]));
+      }
+
+      return;
+    }
+
+    if (column && match && match[1].length <= column.depth) {
+      closeColumn(lastLineOf(column.children[column.children.length - 1]));
+    }
+
+    if (match && match[2] === 'column') {
+      if (column) {
+        // deeper column closes the open column, since columns cannot be nested
+        reportError(options, 'Column cannot be nested in another column',
+                    contextFromLine(chunk.lines[0]));
+        closeColumn(lastLineOf(column.children[column.children.length - 1]));
+      }
+
+      column = {
+        type: ChunkTypes.Column,
+        depth: match[1].length,
+        lines: [],
+        children: [],
+      };
+      result.push(column);
+    }
+
+    (column ? column.children : result).push(chunk);
+  });
+
+  if (column) {
+    closeColumn(lastLineOf(column.children[column.children.length - 1]));
+  }
+
+  return result;
+
+  function closeColumn(lastLine) {
+    const firstLine = column.children[0].lines[0];
+    column.lines = lines.slice(firstLine.lineNumber - 1, lastLine.lineNumber);
+    column.raw = column.lines.map(line => line.raw).join('');
+    column = null;
+  }
+
+  function lastLineOf(chunk) {
+    return chunk.lines[chunk.lines.length - 1];
+  }
+}
+
+/**
+ * parse lines and return array of chunks.
+ * Content of a nestable block is parsed recursively and stored as children of the chunk.
+ * @param {[Line]} lines
+ * @param {Options} [options] - Options of the plugin
+ * @return {[Chunk]}
+ */
+export function parseLinesAsChunks(lines, options=normalizeOptions()) {
+  var currentChunk = null;
+  var openBlocks = []; // stack of blocks being opened in current block chunk
+
+  const chunks = lines.reduce(function (result, line) {
+    parseLine(result, line);
     return result;
   }, []);
 
+  if (currentChunk && currentChunk.type === ChunkTypes.Block) {
+    // reached the end without closing the block
+    // NOTE: blocks nested in the block are reported while parsing its content.
+    reportError(options, `//${openBlocks[0].name} is not closed with //}`,
+                contextFromLine(openBlocks[0].line));
+    currentChunk.unclosed = true;
+    closeBlockChunk(currentChunk);
+  }
+
   chunks.forEach(chunk => {
-    const firstLineIndex = chunk.lines[0].lineNumber - 1;
-    const lastLineIndex = chunk.lines[chunk.lines.length - 1].lineNumber - 1;
-    chunk.raw = lines.slice(firstLineIndex, lastLineIndex + 1).join('');
+    chunk.raw = chunk.lines.map(line => line.raw).join('');
   });
 
-  return chunks;
+  return attachListChildren(chunks, lines, options);
 
   function parseLine(result, line) {
+    // content of directive
+    if (currentChunk && currentChunk.type === ChunkTypes.Directive) {
+      currentChunk.lines.push(line);
+      if (line === currentChunk.directive.endLine) {
+        flushChunk();
+      }
+
+      return;
+    }
+
+    // region directive, whose content is not parsed
+    // NOTE: single line directives like #@require(...) do not break current chunk like comments.
+    if (line.directive && RegionDirectiveNames.indexOf(line.directive.name) >= 0 &&
+        !(currentChunk && currentChunk.type === ChunkTypes.Block)) {
+      flushChunk();
+      const chunk = createChunk(ChunkTypes.Directive, line);
+      chunk.directive = line.directive;
+      result.push(chunk);
+      if (line !== line.directive.endLine) {
+        currentChunk = chunk;
+      }
+
+      return;
+    }
+
     // comment
     // NOTE: comment does not break current chunk, i.e. a block can contain comments in its body.
     if (line.text.startsWith('#@')) {
@@ -63,25 +210,44 @@ export function parseAsChunks(text) {
     if (currentChunk && currentChunk.type === ChunkTypes.Block) {
       currentChunk.lines.push(line);
       if (line.text.startsWith('//}')) {
-        flushChunk(); // end of block
+        openBlocks.pop();
+        if (openBlocks.length === 0) {
+          closeBlockChunk(currentChunk); // end of block
+          flushChunk();
+        }
+      } else {
+        const name = blockNameOf(line);
+        if (name && line.text.endsWith('{') &&
+            isNestableBlock(openBlocks[openBlocks.length - 1].name, options)) {
+          openBlocks.push({ name, line }); // nested block
+        }
       }
 
       return;
     }
 
     // block open
-    if (line.text.match(/^\/\/\w+/)) {
+    const blockName = blockNameOf(line);
+    if (blockName) {
       flushChunk();
       const chunk = createChunk(ChunkTypes.Block, line);
       result.push(chunk);
       if (line.text.endsWith('{')) {
         // block with open and end tags, e.g. //list, //emlist, etc.
         currentChunk = chunk;
+        openBlocks = [{ name: blockName, line }];
       }
 
       return;
     }
 
+    // block close without open
+    if (line.text.startsWith('//}')) {
+      reportError(options, '//} appears without corresponding block', contextFromLine(line));
+      flushChunk();
+      return;
+    }
+
     // heading
     if (line.text.startsWith('=')) {
       flushChunk();
@@ -155,6 +321,12 @@ export function parseAsChunks(text) {
     currentChunk = null;
   }
 
+  function closeBlockChunk(chunk) {
+    if (isNestableBlock(blockNameOf(chunk.lines[0]), options)) {
+      chunk.children = parseLinesAsChunks(blockContentLines(chunk), options);
+    }
+  }
+
   function createChunk(type, firstLine) {
     return {
       type: type,
@@ -162,3 +334,105 @@ export function parseAsChunks(text) {
     };
   }
 }
+
+/**
+ * return content lines of a block chunk, i.e. lines except open and close tags.
+ * @param {Chunk} chunk - Block chunk
+ * @return {[Line]} content lines
+ */
+export function blockContentLines(chunk) {
+  const endIndex = chunk.unclosed ? chunk.lines.length : chunk.lines.length - 1;
+  return chunk.lines.slice(1, endIndex);
+}
+
+/**
+ * attach chunks between //beginchild and //endchild to the last item of the preceding list.
+ * The chunk of the list is extended to //endchild, and a following list of the same type is
+ * merged into the list. Lines of the list itself are stored in listLines of the chunk.
+ * @param {[Chunk]} chunks - Chunks to process
+ * @param {[Line]} lines - Contiguous lines containing all the chunks
+ * @param {Options} options - Options of the plugin
+ * @return {[Chunk]} Chunks except the attached ones
+ */
+function attachListChildren(chunks, lines, options) {
+  const result = [];
+  let index = 0;
+  while (index < chunks.length) {
+    const chunk = chunks[index];
+    const name = chunk.type === ChunkTypes.Block ? blockNameOf(chunk.lines[0]) : null;
+
+    if (name === 'endchild') {
+      reportError(options, '//endchild appears without corresponding //beginchild',
+                  contextFromLine(chunk.lines[0]));
+      index++;
+      continue;
+    }
+
+    if (name !== 'beginchild') {
+      result.push(chunk);
+      index++;
+      continue;
+    }
+
+    const list = result[result.length - 1];
+    if (!list || ListChunkTypes.indexOf(list.type) < 0) {
+      reportError(options, '//beginchild must follow a list', contextFromLine(chunk.lines[0]));
+      index++;
+      continue;
+    }
+
+    const endIndex = findEndChild(index);
+    if (endIndex === chunks.length) {
+      reportError(options, '//beginchild is not closed with //endchild',
+                  contextFromLine(chunk.lines[0]));
+    }
+
+    const childChunks = attachListChildren(chunks.slice(index + 1, endIndex), lines, options);
+    const lastChunk = chunks[Math.min(endIndex, chunks.length - 1)];
+    list.listLines = list.listLines || list.lines;
+    const itemLines = list.listLines.filter(line => !line.isComment);
+    const itemLine = itemLines[itemLines.length - 1];
+    itemLine.childChunks = (itemLine.childChunks || []).concat(childChunks);
+    extendChunk(list, lastChunk.lines[lastChunk.lines.length - 1]);
+    index = endIndex + 1;
+
+    // list continues after //endchild
+    const nextChunk = chunks[index];
+    if (nextChunk && nextChunk.type === list.type) {
+      list.listLines = list.listLines.concat(nextChunk.lines);
+      extendChunk(list, nextChunk.lines[nextChunk.lines.length - 1]);
+      index++;
+    }
+  }
+
+  return result;
+
+  function findEndChild(beginIndex) {
+    let depth = 0;
+    for (let i = beginIndex; i < chunks.length; i++) {
+      const name = chunks[i].type === ChunkTypes.Block ? blockNameOf(chunks[i].lines[0]) : null;
+      if (name === 'beginchild') {
+        depth++;
+      } else if (name === 'endchild') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+
+    return chunks.length;
+  }
+
+  function extendChunk(chunk, lastLine) {
+    const firstLineNumber = lines[0].lineNumber;
+    chunk.lines = lines.slice(chunk.lines[0].lineNumber - firstLineNumber,
+                              lastLine.lineNumber - firstLineNumber + 1);
+    chunk.raw = chunk.lines.map(line => line.raw).join('');
+  }
+}
+
+function blockNameOf(line) {
+  const match = line.text.match(/^\/\/(\w+)/);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,36 @@
+// LICENSE : MIT
+'use strict';
+import { contextFromLine } from './parser-utils';
+
+/**
+ * report #@warn(...) comments and #@# comments matching the patterns in options.
+ * They are pushed to diagnostics with isComment flag and the severity of commentSeverity option.
+ * @param {[Line]} lines - All lines of the text
+ * @param {Options} options - Options of the plugin
+ */
+export function reportComments(lines, options) {
+  lines.forEach(line => {
+    let message = null;
+    let match;
+    if (options.reportWarnComments && (match = line.text.match(/^#@warn\((.*)\)/))) {
+      message = match[1];
+    } else if (match = line.text.match(/^#@#\s*(.*)/)) {
+      const comment = match[1];
+      if (options.reportCommentPatterns.some(pattern => pattern.test(comment))) {
+        message = comment;
+      }
+    }
+
+    if (message !== null) {
+      const context = contextFromLine(line);
+      options.diagnostics.push({
+        message: message,
+        index: context.startIndex,
+        line: context.lineNumber,
+        column: context.startColumn,
+        severity: options.commentSeverity,
+        isComment: true,
+      });
+    }
+  });
+}
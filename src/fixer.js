@@ -0,0 +1,241 @@
+// LICENSE : MIT
+'use strict';
+import { traverse, VisitorOption } from '@textlint/ast-traverse';
+import { Syntax } from './mapping';
+import { parse } from './review-to-ast';
+import { escapeValue } from './parser-utils';
+
+/**
+ * characters which may change Re:VIEW markup when they are inserted or removed.
+ */
+const MarkupCharacterPattern = /[@{}$|[\]\\=#*:\t\r\n]/;
+
+/**
+ * escape fixes of messages for Re:VIEW markup without parsing the fixed text.
+ * Text inserted in a Str node is escaped according to the context, e.g. } in an inline tag.
+ * Fixes whose boundary is inside an escape sequence like \} are removed from the messages.
+ * @param {[TextlintMessage]} messages - Messages which may have fix
+ * @param {TxtNode} ast - Document node parsed from the text
+ * @return {[TextlintMessage]} Messages with escaped fixes
+ */
+export function escapeFixes(messages, ast) {
+  return messages.map(message => {
+    if (!message.fix) {
+      return message;
+    }
+
+    const strNode = findStrNode(ast, message.fix.range);
+    if (strNode && message.fix.range.some(index => splitsEscape(strNode, index))) {
+      return rejectFix(message);
+    }
+
+    return Object.assign({}, message, { fix: escapeFix(message.fix, strNode) });
+  });
+}
+
+/**
+ * make fixes of messages safe for Re:VIEW markup.
+ * Fixes are escaped like escapeFixes(), and fixes which change the structure of the document
+ * are removed from the messages.
+ * @param {[TextlintMessage]} messages - Messages which may have fix
+ * @param {string} text - Text of the document
+ * @param {TxtNode} ast - Document node parsed from the text
+ * @param {Options} options - Options used to parse the text
+ * @return {[TextlintMessage]} Messages with verified fixes
+ */
+export function verifyFixes(messages, text, ast, options) {
+  let original = null;
+  return escapeFixes(messages, ast).map(message => {
+    const fix = message.fix;
+    if (!fix || !mayChangeMarkup(fix, text, findStrNode(ast, fix.range))) {
+      return message;
+    }
+
+    original = original || structureOf(text, options);
+    const fixedText = text.slice(0, fix.range[0]) + fix.text + text.slice(fix.range[1]);
+    const expected = original && JSON.stringify(mapStructure(original, fix));
+    if (JSON.stringify(structureOf(fixedText, options)) !== expected) {
+      return rejectFix(message);
+    }
+
+    return message;
+  });
+}
+
+/**
+ * remove the fix from the message.
+ * @param {TextlintMessage} message - Message having fix
+ * @return {TextlintMessage} Message without fix
+ */
+function rejectFix(message) {
+  const rejected = Object.assign({}, message);
+  delete rejected.fix;
+  return rejected;
+}
+
+/**
+ * test whether the index is between a backslash and the escaped character in the Str node.
+ * @param {TxtNode} strNode - Str node
+ * @param {number} index - Index in the document
+ * @return {boolean} true if the index splits an escape sequence
+ */
+function splitsEscape(strNode, index) {
+  const escapes = strNode.escapes || [];
+  const rawIndex = index - strNode.range[0];
+  for (let i = 0; i < rawIndex; i++) {
+    if (strNode.raw[i] === '\\' && escapes.indexOf(strNode.raw[i + 1]) >= 0) {
+      if (rawIndex === i + 1) {
+        return true;
+      }
+
+      i++; // skip escaped character
+    }
+  }
+
+  return false;
+}
+
+/**
+ * find the deepest Str node containing the range.
+ * @param {TxtNode} ast - Document node
+ * @param {[number]} range - Range of the fix
+ * @return {TxtNode} Str node if found, otherwise null
+ */
+function findStrNode(ast, range) {
+  let strNode = null;
+  traverse(ast, {
+    enter(node) {
+      if (node.range[0] > range[0] || range[1] > node.range[1]) {
+        return VisitorOption.Skip;
+      }
+
+      if (node.type === Syntax.Str) {
+        strNode = node;
+      }
+    },
+  });
+  return strNode;
+}
+
+/**
+ * escape text of the fix if it is inserted in a Str node which needs escape.
+ * Characters already escaped with a backslash are kept as they are,
+ * since the text may be made from the source of the node.
+ * @param {Fix} fix - Fix object having range and text
+ * @param {TxtNode} strNode - Str node containing the fix, or null
+ * @return {Fix} Escaped fix object
+ */
+function escapeFix(fix, strNode) {
+  if (!strNode || !strNode.escapes) {
+    return fix;
+  }
+
+  return {
+    range: fix.range,
+    text: fix.text.replace(/\\[\s\S]|[}\]]/g, match => {
+      return match.length > 1 ? match : escapeValue(match, strNode.escapes);
+    }),
+  };
+}
+
+/**
+ * test whether the fix may change the markup, which needs to parse the fixed text.
+ * A fix inside a Str node keeps the markup unless it inserts or touches markup characters,
+ * or it changes the head of a line, e.g. indent of lists or // of blocks.
+ * @param {Fix} fix - Escaped fix object
+ * @param {string} text - Text of the document
+ * @param {TxtNode} strNode - Str node containing the fix, or null
+ * @return {boolean} true if the fix may change the markup
+ */
+function mayChangeMarkup(fix, text, strNode) {
+  if (!strNode) {
+    return true;
+  }
+
+  // characters next to the fix may make markup with the fix, e.g. @ and <
+  const previousCharacter = text.charAt(fix.range[0] - 1).replace(/[\r\n]/, '');
+  const nextCharacter = text.charAt(fix.range[1]).replace(/[\r\n]/, '');
+  const touchedText = previousCharacter + text.slice(fix.range[0], fix.range[1]) + nextCharacter;
+  if (MarkupCharacterPattern.test(fix.text) || MarkupCharacterPattern.test(touchedText)) {
+    return true;
+  }
+
+  const lineStartIndex = text.lastIndexOf('\n', fix.range[0] - 1) + 1;
+  const lineHead = text.slice(lineStartIndex, fix.range[0]);
+  if (!lineHead.match(/^\s*\S*$/)) {
+    return false; // fix after the first word of the line
+  }
+
+  const lineEndIndex = text.indexOf('\n', fix.range[1]);
+  const lineTail = text.slice(fix.range[1], lineEndIndex < 0 ? text.length : lineEndIndex);
+  const lines = [lineHead + text.slice(fix.range[0], fix.range[1]) + lineTail,
+                 lineHead + fix.text + lineTail];
+  return lines.some(line => /^(\s|=|\/|#|$)/.test(line));
+}
+
+/**
+ * get structure of the document, which consists of nodes except Str and syntax errors.
+ * Reported comments are not syntax errors, so that fixes may change them.
+ * @param {string} text - Text of the document
+ * @param {Options} options - Options to parse the text
+ * @return {Structure} Structure of the document, or null if the text cannot be parsed
+ */
+function structureOf(text, options) {
+  const diagnostics = [];
+  let ast;
+  try {
+    ast = parse(text, Object.assign({}, options, {
+      diagnostics: diagnostics,
+      validateReferences: false,
+      resolveReferences: false,
+      validateMappedFiles: false,
+    }));
+  } catch (ex) {
+    return null;
+  }
+
+  const nodes = [];
+  traverse(ast, {
+    enter(node) {
+      if (node.type !== Syntax.Str) {
+        nodes.push({
+          type: node.name ? `${node.type}(${node.name})` : node.type,
+          range: node.range,
+        });
+      }
+    },
+  });
+
+  return {
+    nodes: nodes,
+    errors: diagnostics.filter(diagnostic => !diagnostic.isComment)
+      .map(diagnostic => diagnostic.message),
+  };
+}
+
+/**
+ * get structure expected after applying the fix, shifting ranges of nodes following the fix.
+ * Ranges of nodes having a boundary inside the fixed range become null,
+ * since such a fix changes the markup.
+ * @param {Structure} structure - Structure of the original document
+ * @param {Fix} fix - Fix object having range and text
+ * @return {Structure} Expected structure
+ */
+function mapStructure(structure, fix) {
+  const delta = fix.text.length - (fix.range[1] - fix.range[0]);
+  const mapIndex = index => {
+    if (index <= fix.range[0]) {
+      return index;
+    }
+
+    return index >= fix.range[1] ? index + delta : null;
+  };
+
+  return {
+    nodes: structure.nodes.map(node => ({
+      type: node.type,
+      range: node.range.map(mapIndex),
+    })),
+    errors: structure.errors,
+  };
+}
@@ -1,6 +1,11 @@
 // LICENSE : MIT
 'use strict';
 import ReVIEWProcessor from './ReVIEWProcessor';
+export { rawIndexOf, rawRangeOf } from './positions';
+export { parse } from './review-to-ast';
+export { stringify } from './ast-to-review';
+export { toMarkdown } from './ast-to-markdown';
+export { extractText } from './ast-to-text';
 export default {
   Processor: ReVIEWProcessor,
 };
@@ -2,37 +2,54 @@
 'use strict';
 import assert from 'assert';
 import { Syntax } from './mapping';
+import { InlineStrategies, normalizeOptions } from './options';
 import {
-  parseBlockArg, findInlineTag, createNodeFromChunk, createCommentNodeFromLine, createStrNode,
-  createInlineNode, contextFromLine, offsetContext, contextNeedsUnescapeBraces, unescapeValue
+  findInlineTag, findInlineTagStart, createCommentNodeFromLine, createStrNode, createInlineNode,
+  contextFromLine, offsetContext, contextNeedsUnescapeBraces, unescapeValue, reportError
 } from './parser-utils';
 
 /**
  * parse a line.
  * @param {Line} line - line to parse
+ * @param {Options} [options] - Options of the plugin
  * @return {[TxtNode]} TxtNodes
  */
-export function parseLine(line) {
+export function parseLine(line, options) {
   if (line.isComment) {
     return [createCommentNodeFromLine(line)];
   }
 
-  return parseText(line.text, contextFromLine(line));
+  return parseText(line.text, contextFromLine(line), options);
 }
 
 const InlineParsers = {
-  // text tags
-  bou:     inlineTextTagParser(Syntax.Bouten),
-  ami:     inlineTextTagParser(Syntax.Amikake),
-  u:       inlineTextTagParser(Syntax.Underline),
-  b:       inlineTextTagParser(Syntax.Bold),
-  i:       inlineTextTagParser(Syntax.Italic),
-  strong:  inlineTextTagParser(Syntax.Strong),
-  em:      inlineTextTagParser(Syntax.Emphasis),
-  tt:      inlineTextTagParser(Syntax.Teletype),
-  tti:     inlineTextTagParser(Syntax.TeletypeItalic),
-  ttb:     inlineTextTagParser(Syntax.TeletypeBold),
+  // text tags, which may contain other inline tags
+  bou:     inlineNestableTagParser(Syntax.Bouten),
+  ami:     inlineNestableTagParser(Syntax.Amikake),
+  u:       inlineNestableTagParser(Syntax.Underline),
+  b:       inlineNestableTagParser(Syntax.Bold),
+  i:       inlineNestableTagParser(Syntax.Italic),
+  strong:  inlineNestableTagParser(Syntax.Strong),
+  em:      inlineNestableTagParser(Syntax.Emphasis),
+  tt:      inlineNestableTagParser(Syntax.Teletype),
+  tti:     inlineNestableTagParser(Syntax.TeletypeItalic),
+  ttb:     inlineNestableTagParser(Syntax.TeletypeBold),
+  sup:     inlineNestableTagParser(Syntax.Superscript),
+  sub:     inlineNestableTagParser(Syntax.Subscript),
+  del:     inlineNestableTagParser(Syntax.Deletion),
+  ins:     inlineNestableTagParser(Syntax.Insertion),
+  balloon: inlineNestableTagParser(Syntax.Balloon),
+  abbr:    inlineNestableTagParser(Syntax.Abbreviation),
+  acronym: inlineNestableTagParser(Syntax.Abbreviation),
+  cite:    inlineNestableTagParser(Syntax.Citation),
+  dfn:     inlineNestableTagParser(Syntax.Definition),
+  q:       inlineNestableTagParser(Syntax.InlineQuote),
+  big:     inlineNestableTagParser(Syntax.Big),
+  small:   inlineNestableTagParser(Syntax.Small),
+
+  // text tags, which do not contain other inline tags
   tcy:     inlineTextTagParser(Syntax.TateChuYoko),
+  idx:     inlineTextTagParser(Syntax.Index),
 
   // partially text tags
   kw:      parseKeywordTag,
@@ -40,25 +57,77 @@ const InlineParsers = {
   href:    parseHrefTag,
 
   // non-text tags
-  chap:    inlineNonTextTagParser(Syntax.Reference),
-  title:   inlineNonTextTagParser(Syntax.Reference),
-  chapref: inlineNonTextTagParser(Syntax.Reference),
-  list:    inlineNonTextTagParser(Syntax.Reference),
-  img:     inlineNonTextTagParser(Syntax.Reference),
-  table:   inlineNonTextTagParser(Syntax.Reference),
-  hd:      inlineNonTextTagParser(Syntax.Reference),
-  column:  inlineNonTextTagParser(Syntax.Reference),
-  fn:      inlineNonTextTagParser(Syntax.Reference),
+  chap:    parseChapterReferenceTag,
+  title:   parseChapterReferenceTag,
+  chapref: parseChapterReferenceTag,
+  list:    parseReferenceTag,
+  img:     parseReferenceTag,
+  imgref:  parseReferenceTag,
+  table:   parseReferenceTag,
+  eq:      parseReferenceTag,
+  hd:      parseReferenceTag,
+  sec:     parseReferenceTag,
+  secref:  parseReferenceTag,
+  sectitle: parseReferenceTag,
+  column:  parseReferenceTag,
+  fn:      parseReferenceTag,
+  endnote: parseReferenceTag,
+  bib:     parseReferenceTag,
+  labelref: parseReferenceTag,
+  ref:     parseReferenceTag,
+  pageref: parseReferenceTag,
+  recipe:  parseReferenceTag,
+  w:       parseWordTag,
+  wb:      parseWordTag,
 
   code:    withValue(inlineNonTextTagParser(Syntax.Code)),
+  kbd:     withValue(inlineNonTextTagParser(Syntax.Keyboard)),
+  samp:    withValue(inlineNonTextTagParser(Syntax.Sample)),
+  var:     withValue(inlineNonTextTagParser(Syntax.Variable)),
   comment: withValue(inlineNonTextTagParser(Syntax.Comment)),
   uchar:   inlineNonTextTagParser(Syntax.UnicodeChar),
   br:      inlineNonTextTagParser(Syntax.Break),
   icon:    inlineNonTextTagParser(Syntax.Icon),
   m:       inlineNonTextTagParser(Syntax.Math),
   raw:     inlineNonTextTagParser(Syntax.Raw),
+  embed:   inlineNonTextTagParser(Syntax.Raw),
+  hidx:    inlineNonTextTagParser(Syntax.HiddenIndex),
+  dtp:     inlineNonTextTagParser(Syntax.Dtp),
 };
 
+/**
+ * find parser to parse the inline tag considering options.
+ * @param {string} name - Name of the tag
+ * @param {Options} options - Options of the plugin
+ * @return {function} parser function
+ */
+function findInlineParser(name, options) {
+  const inlineOption = options.inlines[name];
+  if (inlineOption) {
+    return strategyInlineParser(inlineOption.strategy);
+  }
+
+  return InlineParsers[name] || strategyInlineParser(options.unknownInline);
+}
+
+/**
+ * return parser to parse inline tag according to the strategy.
+ * @param {string} strategy - One of InlineStrategies
+ * @return {function} parser function
+ */
+function strategyInlineParser(strategy) {
+  switch (strategy) {
+    case InlineStrategies.Code:
+      return withValue(inlineNonTextTagParser(Syntax.Code));
+    case InlineStrategies.Reference:
+      return parseReferenceTag;
+    case InlineStrategies.NonString:
+      return inlineNonTextTagParser(Syntax.NonString);
+    default:
+      return inlineNestableTagParser(Syntax.Inline);
+  }
+}
+
 /**
  * get new inline tag parser to get value attribute.
  * @param {function} inlineParser - Parser function of a inline tag
@@ -92,6 +161,16 @@ function inlineTextTagParser(type) {
     parseInlineTextTag(type, tag, context);
 }
 
+/**
+ * get parser function of text tag which may contain other inline tags.
+ * @param {string} type - type of tag
+ * @return {function} parser function
+ */
+function inlineNestableTagParser(type) {
+  return (tag, context, options) =>
+    parseInlineNestableTag(type, tag, context, options);
+}
+
 /**
  * parse non-text tag, which has no child.
  * @param {string} type - type of tag
@@ -119,23 +198,130 @@ function parseInlineTextTag(type, tag, context) {
   return node;
 }
 
+/**
+ * parse text tag, whose content is parsed as text including inline tags.
+ * @param {string} type - type of tag
+ * @param {Tag} tag - tag to parse
+ * @param {Context} context - context of the node
+ * @param {Options} options - Options of the plugin
+ * @return {TxtNode}
+ */
+function parseInlineNestableTag(type, tag, context, options) {
+  const node = createInlineNode(type, tag.fullText, context);
+  node.children = parseText(tag.content.raw, offsetContext(context, tag.content.index), options);
+  return node;
+}
+
+/**
+ * split content of a tag at the first comma, which is not in nested inline tags.
+ * White spaces around the comma are removed.
+ * @param {string} raw - Raw content of the tag
+ * @return {[string]} one or two pieces
+ */
+function splitAtFirstComma(raw) {
+  let fromIndex = 0;
+  while (true) {
+    const commaIndex = raw.indexOf(',', fromIndex);
+    if (commaIndex < 0) {
+      return [raw];
+    }
+
+    const nestedTag = findInlineTag(raw.slice(fromIndex));
+    const nestedTagIndex = nestedTag ? fromIndex + nestedTag.precedingText.length : -1;
+    if (!nestedTag || nestedTagIndex > commaIndex) {
+      return [
+        raw.slice(0, commaIndex).replace(/\s+$/, ''),
+        raw.slice(commaIndex + 1).replace(/^\s+/, ''),
+      ];
+    }
+
+    fromIndex = nestedTagIndex + nestedTag.fullText.length;
+  }
+}
+
+/**
+ * parse reference tag like @<list>{id} and @<list>{chapter|id}.
+ * @param {Tag} tag - tag to parse
+ * @param {Context} context - context of the node
+ * @return {TxtNode}
+ */
+function parseReferenceTag(tag, context) {
+  const node = createInlineNode(Syntax.Reference, tag.fullText, context);
+  const value = unescapeValue(tag.content.raw, context);
+  const separatorIndex = value.indexOf('|');
+  if (separatorIndex >= 0) {
+    node.chapterId = value.slice(0, separatorIndex);
+    node.targetId = value.slice(separatorIndex + 1);
+  } else {
+    node.chapterId = null;
+    node.targetId = value;
+  }
+
+  return node;
+}
+
+/**
+ * parse reference tag to a chapter like @<chap>{id}.
+ * @param {Tag} tag - tag to parse
+ * @param {Context} context - context of the node
+ * @return {TxtNode}
+ */
+function parseChapterReferenceTag(tag, context) {
+  const node = createInlineNode(Syntax.Reference, tag.fullText, context);
+  node.chapterId = unescapeValue(tag.content.raw, context);
+  node.targetId = null;
+  return node;
+}
+
+/**
+ * parse @<w>{} and @<wb>{} tag, which is replaced with the word in the words file.
+ * The word is added as a child Str node having the same range as the tag.
+ * @param {Tag} tag - tag to parse
+ * @param {Context} context - context of the node
+ * @param {Options} options - Options of the plugin
+ * @return {TxtNode}
+ */
+function parseWordTag(tag, context, options) {
+  const node = createInlineNode(Syntax.Word, tag.fullText, context);
+  node.key = unescapeValue(tag.content.raw, context);
+  if (!options.words) {
+    return node; // words file is not available
+  }
+
+  if (!options.words.has(node.key)) {
+    reportError(options, `Unknown word key "${node.key}"`, context);
+    return node;
+  }
+
+  const strNode = createInlineNode(Syntax.Str, tag.fullText, context);
+  strNode.value = options.words.get(node.key);
+  node.children = [strNode];
+  return node;
+}
+
 /**
  * parse @<kw>{} tag.
  * @param {Tag} tag - tag to parse
  * @param {Context} context - context of the node
+ * @param {Options} options - Options of the plugin
  * @return {TxtNode}
  */
-function parseKeywordTag(tag, context) {
+function parseKeywordTag(tag, context, options) {
   const node = createInlineNode(Syntax.Keyword, tag.fullText, context);
 
-  const pieces = tag.content.raw.split(/\s*,\s*/, 2);
+  const pieces = splitAtFirstComma(tag.content.raw);
   const word = pieces[0];
   if (pieces.length === 2) {
     node.alt = pieces[1];
   }
 
-  const strNode = createStrNode(word, offsetContext(context, tag.content.index));
-  node.children = [strNode];
+  if (word === '') {
+    reportError(options, '@<kw> requires a keyword', context);
+    node.children = [];
+    return node;
+  }
+
+  node.children = parseText(word, offsetContext(context, tag.content.index), options);
 
   return node;
 }
@@ -144,13 +330,21 @@ function parseKeywordTag(tag, context) {
  * parse @<href>{} tag.
  * @param {Tag} tag - tag to parse
  * @param {Context} context - context of the node
+ * @param {Options} options - Options of the plugin
  * @return {TxtNode}
  */
-function parseHrefTag(tag, context) {
+function parseHrefTag(tag, context, options) {
   const node = createInlineNode(Syntax.Href, tag.fullText, context);
 
   const pieces = tag.content.raw.split(/\s*,\s*/, 2);
   const url = pieces[0];
+  if (url === '') {
+    reportError(options, '@<href> requires a URL', context);
+    node.url = url;
+    node.children = [];
+    return node;
+  }
+
   let label;
   let labelOffset;
   if (pieces.length === 2) {
@@ -175,19 +369,24 @@ function parseHrefTag(tag, context) {
  * parse @<ruby>{} tag.
  * @param {Tag} tag - tag to parse
  * @param {Context} context - context of the node
+ * @param {Options} options - Options of the plugin
  * @return {TxtNode}
  */
-function parseRubyTag(tag, context) {
+function parseRubyTag(tag, context, options) {
   const node = createInlineNode(Syntax.Ruby, tag.fullText, context);
   const pieces = tag.content.raw.split(/\s*,\s*/, 2);
-  assert(pieces.length === 2);
   const rubyBase = pieces[0];
-  const rubyText = pieces[1];
-
-  const strNode = createStrNode(rubyBase, offsetContext(context, tag.content.index));
+  const rubyText = pieces.length === 2 ? pieces[1] : '';
+  if (rubyBase === '' || rubyText === '') {
+    reportError(options, '@<ruby> requires a base text and a ruby text separated by comma',
+                context);
+  }
 
   node.rubyText = rubyText;
-  node.children = [strNode];
+  node.children = [];
+  if (rubyBase !== '') {
+    node.children.push(createStrNode(rubyBase, offsetContext(context, tag.content.index)));
+  }
 
   return node;
 }
@@ -196,9 +395,10 @@ function parseRubyTag(tag, context) {
  * parse inline tags and StrNodes from line.
  * @param {string} text - Text of the line
  * @param {Context} context - context of the node
+ * @param {Options} [options] - Options of the plugin
  * @return {[TxtNode]} TxtNodes in the line
  */
-export function parseText(text, context) {
+export function parseText(text, context, options=normalizeOptions()) {
   assert(!text.match(/[\r\n]/));
 
   const nodes = [];
@@ -210,16 +410,22 @@ export function parseText(text, context) {
       context = offsetContext(context, node.raw.length);
     }
 
-    const parser = InlineParsers[tag.name];
-    if (parser) {
-      const node = parser(tag, contextNeedsUnescapeBraces(context));
-      nodes.push(node);
-    }
+    const parser = findInlineParser(tag.name, options);
+    const tagContext = tag.fenced ? context : contextNeedsUnescapeBraces(context);
+    const node = parser(tag, tagContext, options);
+    node.name = tag.name;
+    nodes.push(node);
 
     context = offsetContext(context, tag.fullText.length);
     text = tag.followingText;
   }
 
+  const unclosedTag = findInlineTagStart(text);
+  if (unclosedTag) {
+    reportError(options, `@<${unclosedTag.name}> is not closed with ${unclosedTag.close}`,
+                offsetContext(context, unclosedTag.index));
+  }
+
   if (text.length) {
     const node = createStrNode(text, context);
     nodes.push(node);
@@ -12,16 +12,21 @@ export const Syntax = {
   OrderedList: 'List',
   DefinitionList: 'List',
   ListItem: 'ListItem',
+  DefinitionTerm: 'DefinitionTerm', // term of DefinitionList
+  DefinitionDescription: 'DefinitionDescription', // description of DefinitionList
   Table: 'Table',
+  TableRow: 'TableRow',
   TableCell: 'ListItem',
   CodeBlock: 'CodeBlock', // Though word 'list' is used in ReVIEW's context, it's confusing
   Image: 'Image',
   Quote: 'BlockQuote',
   Comment: 'Comment',
+  Embed: 'Html', // raw content embedded by //embed and //raw
 
   // textlint standard inline tags
   Str: 'Str',
   Break: 'Break',
+  SoftBreak: 'Str', // line ending in a paragraph, whose value is a space or an empty string
   Code: 'Code',
   Href: 'Link',
   Keyword: 'Strong',
@@ -34,24 +39,48 @@ export const Syntax = {
   Emphasis: 'Emphasis',
   TeletypeItalic: 'Emphasis',
   TeletypeBold: 'Strong',
+  Deletion: 'Delete',
+  Keyboard: 'Code',
+  Sample: 'Code',
+  Variable: 'Code',
 
   // ReVIEW specific block tags
   // NOTE: 'Block' means review's block having no special meanings, whose children are Paragraphs.
   Footnote: 'Footnote', // footnote block
   Caption: 'Caption', // caption text of image, table and code block
+  Block: 'Block', // unknown or custom block
+  Column: 'Column', // section between ==[column] and ==[/column]
+  Directive: 'Directive', // directive of review-preproc like #@mapfile(foo.js)
   Lead: 'Block',
   ShortColumn: 'Block',
 
   // ReVIEW specific inline tags
   // NOTE: 'Inline' means review's inline tag having no special meanings, whose children are Strs.
-  //       'Reference' means reference to other tag, which have no child.
+  //       'Reference' means reference to other tag, which has a Str of the rendered text as a child
+  //       if resolveReferences option is enabled, otherwise has no child.
   //       'NonString' means non-string stuffs like character number, equation, etc.
+  Inline: 'Inline', // custom inline tag having text
+  NonString: 'NonString', // custom inline tag or block having non-string content
   Teletype: 'Inline',
   TateChuYoko: 'Inline',
+  Superscript: 'Inline',
+  Subscript: 'Inline',
+  Insertion: 'Inline',
+  Balloon: 'Inline',
+  Index: 'Inline', // index term, which is also shown in the text
+  Abbreviation: 'Inline',
+  Citation: 'Inline',
+  Definition: 'Inline',
+  InlineQuote: 'Inline',
+  Big: 'Inline',
+  Small: 'Inline',
   Reference: 'Reference',
+  Word: 'Reference', // key of the words file, which has a Str of the expanded word as a child
   Ruby: 'Ruby', // ruby in Japanese
   UnicodeChar: 'NonString',
   Icon: 'Image',
   Math: 'NonString',
   Raw: 'NonString',
+  HiddenIndex: 'NonString',
+  Dtp: 'NonString', // instruction to DTP software
 };
@@ -0,0 +1,126 @@
+// LICENSE : MIT
+'use strict';
+
+export const BlockStrategies = {
+  Prose: 'prose', // content is parsed as paragraphs
+  Code: 'code', // content is parsed as a code block
+  NonString: 'non-string', // content is parsed as non-string stuffs like equation
+  Ignore: 'ignore', // content is not linted
+};
+
+export const InlineStrategies = {
+  Prose: 'prose', // content is parsed as a Str
+  Code: 'code', // content is parsed as a code
+  Reference: 'reference', // content is a reference to other tag
+  NonString: 'non-string', // content is non-string stuffs like equation
+};
+
+export const Severities = {
+  Error: 'error',
+  Warning: 'warning',
+  Info: 'info',
+};
+
+export const DefaultOptions = {
+  // strategy to parse blocks which the plugin does not know
+  unknownBlock: BlockStrategies.Prose,
+
+  // strategy to parse inline tags which the plugin does not know
+  unknownInline: InlineStrategies.Prose,
+
+  // custom blocks, e.g. { "prompt": "code", "box": { "strategy": "prose", "caption": 0 } }
+  blocks: {},
+
+  // custom inline tags, e.g. { "userinput": "code" }
+  inlines: {},
+
+  // add Str nodes of line endings in paragraphs, whose values follow join rule of Re:VIEW
+  softBreaks: false,
+
+  // report references to undefined IDs and duplicated IDs
+  validateReferences: true,
+
+  // add Str node having the rendered text like "リスト1.2" to Reference nodes
+  resolveReferences: false,
+
+  // path of the words file for @<w> and @<wb>, which overrides words_file of config.yml
+  wordsFile: null,
+
+  // report content of #@mapfile and #@maprange which is different from the file on disk
+  validateMappedFiles: false,
+
+  // report #@warn(...) comments
+  reportWarnComments: false,
+
+  // report #@# comments matching any of the patterns, e.g. ["TODO", "^FIXME:"]
+  reportCommentPatterns: [],
+
+  // severity of messages of the comments above
+  commentSeverity: Severities.Warning,
+
+  // root directory of the project having catalog.yml, which is searched from the file by default
+  projectRoot: null,
+};
+
+/**
+ * merge plugin options with default options.
+ * Syntax errors found while parsing are pushed to diagnostics array of the options.
+ * @param {Object|boolean} [options] - Options of the plugin specified in .textlintrc
+ * @return {Options} Normalized options
+ */
+export function normalizeOptions(options) {
+  options = Object.assign({}, DefaultOptions, typeof options === 'object' ? options : {});
+  options.diagnostics = options.diagnostics || [];
+  options.project = options.project || null;
+  options.words = options.words || null;
+  options.filePath = options.filePath || null;
+  assertStrategy(BlockStrategies, options.unknownBlock, 'unknownBlock');
+  assertStrategy(InlineStrategies, options.unknownInline, 'unknownInline');
+  assertSeverity(options.commentSeverity, 'commentSeverity');
+  options.reportCommentPatterns = options.reportCommentPatterns.map(pattern => new RegExp(pattern));
+  options.blocks = normalizeTagOptions(BlockStrategies, options.blocks, 'block');
+  options.inlines = normalizeTagOptions(InlineStrategies, options.inlines, 'inline tag');
+  return options;
+}
+
+/**
+ * normalize options of custom tags to objects like { strategy: "prose", caption: 0 }.
+ * @param {Object} strategies - Available strategies
+ * @param {Object} tagOptions - Map of tag name to strategy name or object
+ * @param {string} kind - Kind of tags used in error message
+ * @return {Object} Map of tag name to TagOption
+ */
+function normalizeTagOptions(strategies, tagOptions, kind) {
+  const normalized = {};
+  Object.keys(tagOptions || {}).forEach(name => {
+    let tagOption = tagOptions[name];
+    if (typeof tagOption === 'string') {
+      tagOption = { strategy: tagOption };
+    }
+
+    assertStrategy(strategies, tagOption.strategy, `${kind} "${name}"`);
+    if (tagOption.caption !== undefined && !(tagOption.caption >= 0)) {
+      throw new Error(`Invalid caption index "${tagOption.caption}" for ${kind} "${name}"`);
+    }
+
+    normalized[name] = tagOption;
+  });
+
+  return normalized;
+}
+
+function assertSeverity(severity, target) {
+  const names = Object.keys(Severities).map(key => Severities[key]);
+  if (names.indexOf(severity) < 0) {
+    throw new Error(`Unknown severity "${severity}" for ${target}. ` +
+                    `Available severities are: ${names.join(', ')}`);
+  }
+}
+
+function assertStrategy(strategies, strategy, target) {
+  const names = Object.keys(strategies).map(key => strategies[key]);
+  if (names.indexOf(strategy) < 0) {
+    throw new Error(`Unknown strategy "${strategy}" for ${target}. ` +
+                    `Available strategies are: ${names.join(', ')}`);
+  }
+}
@@ -16,6 +16,9 @@ export function parseBlockArgs(argsText, offset) {
   let openIndex = 0;
   while (argsText[openIndex] === '[') {
     let closeIndex = findCloseBracket(argsText, ']', openIndex);
+    if (closeIndex < 0) {
+      break; // closing ] not found
+    }
 
     args.push({
       value: argsText.slice(openIndex + 1, closeIndex),
@@ -28,21 +31,59 @@ export function parseBlockArgs(argsText, offset) {
   return args;
 }
 
+/**
+ * closing characters of inline tags keyed by the opening characters.
+ * Content of tags fenced by $ or | is not escaped, e.g. @<m>$\frac{1}{2}$.
+ */
+const InlineTagFences = {
+  '{': '}',
+  '$': '$',
+  '|': '|',
+};
+
+const InlineTagStartRegex = /@<(\w+)>([{$|])/;
+
+/**
+ * find the start of inline tag from text, which may be not closed.
+ * @param {string} text - Text to parse
+ * @return {object} the match with name and open character if found, otherwise null
+ */
+export function findInlineTagStart(text) {
+  const match = text.match(InlineTagStartRegex);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: match[1],
+    open: match[2],
+    close: InlineTagFences[match[2]],
+    index: match.index,
+    length: match[0].length,
+  };
+}
+
 /**
  * find inline tag from text
  * @param {string} text - Text to parse
  * @return {Tag} the first Tag object if inline tag found, otherwise null
  */
 export function findInlineTag(text) {
-  const match = text.match(/@<(\w+)>\{/);
-  if (!match) {
+  const start = findInlineTagStart(text);
+  if (!start) {
     return null; // inline tag not found
   }
 
-  // We need to ignore escaped closing brace \}.
-  // As look-behind expression is relatively new, use indexOf()
-  let contentStartIndex = match.index + match[0].length;
-  let closeIndex = findCloseBracket(text, '}', contentStartIndex);
+  const fenced = start.open !== '{';
+  let contentStartIndex = start.index + start.length;
+  let closeIndex;
+  if (fenced) {
+    // no escape sequence in fenced content
+    closeIndex = text.indexOf(start.close, contentStartIndex);
+  } else {
+    closeIndex = findCloseBrace(text, contentStartIndex);
+  }
+
   if (closeIndex < 0) {
     return null; // not found
   }
@@ -50,19 +91,45 @@ export function findInlineTag(text) {
   const contentCloseIndex = closeIndex - 1;
   const rawContent = text.substr(contentStartIndex, contentCloseIndex - contentStartIndex + 1);
   const tag = {
-    name: match[1],
+    name: start.name,
+    fenced: fenced,
     content: {
       raw: rawContent,
-      index: contentStartIndex - match.index,
+      index: contentStartIndex - start.index,
     },
-    fullText: text.substr(match.index, closeIndex - match.index + 1),
-    precedingText: text.substr(0, match.index),
+    fullText: text.substr(start.index, closeIndex - start.index + 1),
+    precedingText: text.substr(0, start.index),
     followingText: text.substr(closeIndex + 1),
   };
 
   return tag;
 }
 
+/**
+ * find closing brace of inline tag skipping nested inline tags like @<b>{@<i>{x}}.
+ * @param {string} text - Text to parse
+ * @param {number} fromIndex - Index where the content of the tag starts
+ * @return {number} index of closing brace if found, otherwise -1
+ */
+function findCloseBrace(text, fromIndex) {
+  while (true) {
+    // We need to ignore escaped closing brace \}.
+    // As look-behind expression is relatively new, use indexOf()
+    const closeIndex = findCloseBracket(text, '}', fromIndex);
+    const nestedStart = findInlineTagStart(text.slice(fromIndex));
+    if (closeIndex < 0 || !nestedStart || fromIndex + nestedStart.index > closeIndex) {
+      return closeIndex;
+    }
+
+    const nestedTag = findInlineTag(text.slice(fromIndex + nestedStart.index));
+    if (!nestedTag) {
+      return closeIndex; // nested tag is not closed. treat it as a text
+    }
+
+    fromIndex += nestedStart.index + nestedTag.fullText.length;
+  }
+}
+
 function findCloseBracket(text, character, fromIndex=0) {
   let closeIndex;
   while (true) {
@@ -81,6 +148,21 @@ function findCloseBracket(text, character, fromIndex=0) {
   return closeIndex;
 }
 
+/**
+ * record a syntax error found while parsing.
+ * @param {Options} options - Options of the plugin, which has diagnostics array
+ * @param {string} message - Message of the error
+ * @param {Context} context - context where the error found
+ */
+export function reportError(options, message, context) {
+  options.diagnostics.push({
+    message: message,
+    index: context.startIndex,
+    line: context.lineNumber,
+    column: context.startColumn,
+  });
+}
+
 /**
  * create TxtNode from chunk.
  * @param {Chunk} chunk - A chunk
@@ -137,11 +219,20 @@ export function createNodeFromLine(type, line) {
 
 /**
  * create comment TxtNode from single line.
+ * Single line directives of review-preproc like #@require(foo) are Directive nodes.
  * @param {Line} line - A line
  * @return {TxtNode} Created TxtNode
  */
 export function createCommentNodeFromLine(line) {
   assert(line.isComment);
+  if (line.directive && line.directive.endLine === line) {
+    const directiveNode = createInlineNode(Syntax.Directive, line.text, contextFromLine(line));
+    directiveNode.name = line.directive.name;
+    directiveNode.args = line.directive.args;
+    directiveNode.children = [];
+    return directiveNode;
+  }
+
   const node = createInlineNode(Syntax.Comment, line.text, contextFromLine(line));
   let match;
   if (match = line.text.match(/^#@#\s*(.*)/)) {
@@ -157,6 +248,7 @@ export function createCommentNodeFromLine(line) {
 
 /**
  * create Str TxtNode.
+ * Characters which must be escaped in the context are stored in escapes of the node.
  * @param {string} raw - Raw text of node
  * @param {Context} context - context of the node
  * @return {TxtNode} Created TxtNode
@@ -164,9 +256,36 @@ export function createCommentNodeFromLine(line) {
 export function createStrNode(raw, context) {
   const node = createInlineNode(Syntax.Str, raw, context);
   node.value = unescapeValue(raw, context);
+  const escapes = [];
+  if (context.unescapeBraces) {
+    escapes.push('}');
+  }
+
+  if (context.unescapeBrackets) {
+    escapes.push(']');
+  }
+
+  if (escapes.length > 0) {
+    node.escapes = escapes;
+  }
+
   return node;
 }
 
+/**
+ * escape value to be inserted in raw text of Str node, i.e. reverse of unescapeValue.
+ * @param {string} value - Value to escape
+ * @param {[string]} [escapes] - Characters which must be escaped
+ * @return {string} Escaped value
+ */
+export function escapeValue(value, escapes=[]) {
+  escapes.forEach(character => {
+    value = value.split(character).join(`\\${character}`);
+  });
+
+  return value;
+}
+
 /**
  * unescape value considering context
  * @param {string} value - Value to unescape
@@ -226,6 +345,19 @@ export function contextFromLine(line, offset=0) {
   };
 }
 
+/**
+ * create context from TxtNode.
+ * @param {TxtNode} node - TxtNode
+ * @return {Context} Created Context object
+ */
+export function contextFromNode(node) {
+  return {
+    startIndex: node.range[0],
+    lineNumber: node.loc.start.line,
+    startColumn: node.loc.start.column,
+  };
+}
+
 /**
  * create new context with offset from original context.
  * @param {Context} originalContext - Original Context object
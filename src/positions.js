@@ -0,0 +1,39 @@
+// LICENSE : MIT
+'use strict';
+
+/**
+ * convert an index in value of Str node to the index in its raw text.
+ * Value of Str node may be shorter than its raw text because escaped characters like \} and \]
+ * are unescaped. Use this to report errors found in the value at the exact position.
+ * An escaped character is mapped to the position of its backslash.
+ * @param {TxtNode} node - Str node
+ * @param {number} valueIndex - Index in node.value
+ * @return {number} Index in node.raw, which can be used as index of RuleError
+ */
+export function rawIndexOf(node, valueIndex) {
+  const raw = node.raw;
+  const value = node.value;
+  let rawIndex = 0;
+  for (let i = 0; i < valueIndex && rawIndex < raw.length; i++) {
+    if (raw[rawIndex] === '\\' && raw[rawIndex + 1] === value[i] && raw[rawIndex] !== value[i]) {
+      rawIndex++; // skip backslash of escape sequence
+    }
+
+    rawIndex++;
+  }
+
+  return Math.min(rawIndex, raw.length);
+}
+
+/**
+ * convert a range in value of Str node to the absolute range in the document.
+ * @param {TxtNode} node - Str node
+ * @param {[number]} valueRange - Range in node.value, e.g. [0, 3]
+ * @return {[number]} Range in the document, which can be used for fix ranges
+ */
+export function rawRangeOf(node, valueRange) {
+  return [
+    node.range[0] + rawIndexOf(node, valueRange[0]),
+    node.range[0] + rawIndexOf(node, valueRange[1]),
+  ];
+}
@@ -0,0 +1,131 @@
+// LICENSE : MIT
+'use strict';
+import fs from 'fs';
+import path from 'path';
+import { reportError, contextFromLine } from './parser-utils';
+
+// directives of review-preproc whose content is generated until #@end
+export const RegionDirectiveNames = ['mapfile', 'maprange', 'mapoutput', 'include'];
+
+// directives of review-preproc which consist of a single line
+const LineDirectiveNames = ['require', 'provide'];
+
+/**
+ * find directives of review-preproc and mark lines of them.
+ * The first line of a directive has directive property, whose endLine is the line of #@end.
+ * @param {[Line]} lines - All lines of the text
+ * @param {Options} options - Options of the plugin
+ * @return {[Directive]} Found directives
+ */
+export function parseDirectives(lines, options) {
+  const directives = [];
+  let region = null;
+  lines.forEach(line => {
+    if (region) {
+      if (line.text.match(/^#@end\s*$/)) {
+        region.endLine = line;
+        region = null;
+      } else {
+        region.contentLines.push(line);
+      }
+
+      return;
+    }
+
+    if (line.text.match(/^#@end\s*$/)) {
+      reportError(options, '#@end appears without corresponding directive',
+                  contextFromLine(line));
+      return;
+    }
+
+    const match = line.text.match(/^#@(\w+)\((.*)\)\s*$/);
+    if (!match) {
+      return;
+    }
+
+    const name = match[1];
+    const isRegion = RegionDirectiveNames.indexOf(name) >= 0;
+    if (!isRegion && LineDirectiveNames.indexOf(name) < 0) {
+      return;
+    }
+
+    const directive = {
+      name: name,
+      args: match[2].split(',').map(arg => arg.trim()),
+      beginLine: line,
+      endLine: isRegion ? null : line,
+      contentLines: [],
+    };
+    line.directive = directive;
+    directives.push(directive);
+    if (isRegion) {
+      region = directive;
+    }
+  });
+
+  if (region) {
+    reportError(options, `#@${region.name} is not closed with #@end`,
+                contextFromLine(region.beginLine));
+  }
+
+  return directives;
+}
+
+/**
+ * report directives whose content is different from the mapped file on disk.
+ * Paths of the files are relative to the directory of the linted file.
+ * @param {[Directive]} directives - Directives to validate
+ * @param {Options} options - Options of the plugin
+ */
+export function validateMappedFiles(directives, options) {
+  const baseDir = path.dirname(path.resolve(options.filePath));
+  directives.forEach(directive => {
+    if (directive.endLine === null ||
+        directive.name !== 'mapfile' && directive.name !== 'maprange') {
+      return;
+    }
+
+    const context = contextFromLine(directive.beginLine);
+    const fileName = directive.args[0];
+    let fileLines;
+    try {
+      fileLines = fs.readFileSync(path.resolve(baseDir, fileName), 'utf-8')
+        .replace(/\r?\n$/, '').split(/\r?\n/);
+    } catch (ex) {
+      reportError(options, `File "${fileName}" of #@${directive.name} is not found`, context);
+      return;
+    }
+
+    if (directive.name === 'maprange') {
+      fileLines = extractRange(fileLines, directive.args[1]);
+      if (fileLines === null) {
+        reportError(options, `Range "${directive.args[1]}" is not found in "${fileName}"`,
+                    context);
+        return;
+      }
+    }
+
+    const contentLines = directive.contentLines.map(line => line.text);
+    if (contentLines.join('\n') !== fileLines.join('\n')) {
+      reportError(options,
+                  `Content of #@${directive.name} is out of sync with "${fileName}"`,
+                  context);
+    }
+  });
+}
+
+/**
+ * extract lines between #@range_begin(name) and #@range_end(name).
+ * @param {[string]} lines - Lines of the file
+ * @param {string} name - Name of the range
+ * @return {[string]} Lines in the range if found, otherwise null
+ */
+function extractRange(lines, name) {
+  const beginIndex = lines.findIndex(line => line.indexOf(`#@range_begin(${name})`) >= 0);
+  const endIndex = lines.findIndex(line => line.indexOf(`#@range_end(${name})`) >= 0);
+  if (beginIndex < 0 || endIndex < beginIndex) {
+    return null;
+  }
+
+  return lines.slice(beginIndex + 1, endIndex);
+}
@@ -0,0 +1,301 @@
+// LICENSE : MIT
+'use strict';
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { parse } from './review-to-ast';
+import { createScope } from './references';
+import { reportError } from './parser-utils';
+
+const ConfigFileName = 'config.yml';
+const DefaultCatalogFileName = 'catalog.yml';
+
+// sections of catalog.yml which list chapters
+const CatalogSections = ['PREDEF', 'CHAPS', 'APPENDIX', 'POSTDEF'];
+
+// contents of files keyed by path, which are reloaded when mtime changes
+const fileCache = new Map();
+
+// options which change scopes of chapters
+const ChapterOptionNames = ['unknownBlock', 'unknownInline', 'blocks', 'inlines', 'softBreaks'];
+
+/**
+ * find root directory of Re:VIEW project, which has catalog.yml or config.yml.
+ * @param {string} filePath - Path of the file to lint
+ * @param {Options} options - Options of the plugin
+ * @return {string} path of the root directory if found, otherwise null
+ */
+export function findProjectRoot(filePath, options) {
+  if (options.projectRoot) {
+    return path.resolve(options.projectRoot);
+  }
+
+  let dir = path.dirname(path.resolve(filePath));
+  while (true) {
+    if (fs.existsSync(path.join(dir, DefaultCatalogFileName)) ||
+        fs.existsSync(path.join(dir, ConfigFileName))) {
+      return dir;
+    }
+
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      return null; // reached root of the file system
+    }
+
+    dir = parentDir;
+  }
+}
+
+/**
+ * load the project which the file belongs to.
+ * Chapters are loaded only when validateReferences or resolveReferences option is enabled.
+ * Errors in YAML files and chapters are reported at the beginning of the file.
+ * @param {string} filePath - Path of the file to lint
+ * @param {Options} options - Options of the plugin
+ * @return {Project} Project object if found, otherwise null
+ */
+export function loadProject(filePath, options) {
+  const root = findProjectRoot(filePath, options);
+  if (root === null) {
+    return null;
+  }
+
+  let config;
+  let catalog;
+  try {
+    config = readFileCached(path.join(root, ConfigFileName), loadYAML) || {};
+    catalog = readFileCached(path.join(root, config.catalogfile || DefaultCatalogFileName),
+                             loadYAML);
+  } catch (ex) {
+    reportError(options, `Failed to load the project: ${ex.message}`,
+                { startIndex: 0, lineNumber: 1, startColumn: 0 });
+    return null;
+  }
+
+  if (!catalog) {
+    return null;
+  }
+
+  const chapters = new Map();
+  if (options.validateReferences || options.resolveReferences) {
+    loadChapters(path.join(root, config.contentdir || '.'), catalog, chapters, options);
+  }
+
+  return {
+    root: root,
+    config: config,
+    chapters: chapters,
+    chapterId: path.basename(filePath, '.re'),
+  };
+}
+
+/**
+ * load chapters listed in catalog.yml with their scopes.
+ * Scopes are cached for each set of options affecting them.
+ * @param {string} contentDir - Path of the directory having chapters
+ * @param {Object} catalog - Content of catalog.yml
+ * @param {Map} chapters - Map to add chapters keyed by chapter ID
+ * @param {Options} options - Options of the plugin
+ */
+function loadChapters(contentDir, catalog, chapters, options) {
+  const optionsKey = JSON.stringify(ChapterOptionNames.map(name => options[name]));
+  catalogChaptersOf(catalog).forEach(catalogChapter => {
+    const chapterPath = path.join(contentDir, catalogChapter.fileName);
+    const chapterId = path.basename(catalogChapter.fileName, '.re');
+    let scope;
+    try {
+      scope = readFileCached(chapterPath, text => loadChapterScope(text, options), optionsKey);
+    } catch (ex) {
+      reportError(options, `Failed to load the chapter "${catalogChapter.fileName}": ${ex.message}`,
+                  { startIndex: 0, lineNumber: 1, startColumn: 0 });
+      scope = null;
+    }
+
+    chapters.set(chapterId, {
+      id: chapterId,
+      path: chapterPath,
+      number: catalogChapter.number,
+      scope: scope,
+    });
+  });
+}
+
+/**
+ * list chapters in catalog.yml with their numbers.
+ * Chapters in CHAPS are numbered like "1", and ones in APPENDIX like "A".
+ * @param {Object} catalog - Content of catalog.yml
+ * @return {[Object]} Array of objects having file name and number (or null) of chapters
+ */
+export function catalogChaptersOf(catalog) {
+  const chapters = [];
+  let chapterCount = 0;
+  let appendixCount = 0;
+  const collect = (section, entry) => {
+    if (typeof entry === 'string') {
+      let number = null;
+      if (section === 'CHAPS') {
+        number = String(++chapterCount);
+      } else if (section === 'APPENDIX') {
+        number = String.fromCharCode('A'.charCodeAt(0) + appendixCount++);
+      }
+
+      chapters.push({ fileName: entry, number: number });
+    } else if (Array.isArray(entry)) {
+      entry.forEach(child => collect(section, child));
+    } else if (entry && typeof entry === 'object') {
+      // part, e.g. { "part1.re": ["ch01.re", "ch02.re"] }
+      Object.keys(entry).forEach(part => {
+        if (part.endsWith('.re')) {
+          chapters.push({ fileName: part, number: null });
+        }
+
+        collect(section, entry[part]);
+      });
+    }
+  };
+
+  CatalogSections.forEach(section => collect(section, catalog[section]));
+  return chapters;
+}
+
+/**
+ * load words of @<w> and @<wb> from the words file.
+ * The file is specified by wordsFile option, or words_file of config.yml in the project.
+ * @param {Options} options - Options of the plugin
+ * @param {Project} project - Project object, or null
+ * @return {Map} Map of keys to words if the words file is specified, otherwise null
+ */
+export function loadWords(options, project) {
+  let filePaths;
+  if (options.wordsFile) {
+    // relative paths are resolved from the project root like words_file of config.yml
+    const root = project ? project.root : '.';
+    filePaths = [].concat(options.wordsFile).map(filePath => path.resolve(root, filePath));
+  } else if (project && project.config.words_file) {
+    filePaths = [].concat(project.config.words_file)
+      .map(filePath => path.resolve(project.root, filePath));
+  } else {
+    return null;
+  }
+
+  const words = new Map();
+  filePaths.forEach(filePath => {
+    const rows = readFileCached(filePath, parseWordsFile);
+    if (rows === null) {
+      reportError(options, `Words file "${filePath}" is not found`,
+                  { startIndex: 0, lineNumber: 1, startColumn: 0 });
+      return;
+    }
+
+    rows.forEach(row => {
+      if (row.length >= 2) {
+        words.set(row[0], row[1]);
+      }
+    });
+  });
+
+  return words;
+}
+
+/**
+ * parse words file, which is TSV if its extension is .tsv, otherwise CSV.
+ * @param {string} text - Content of the file
+ * @param {string} filePath - Path of the file
+ * @return {[[string]]} Rows of fields
+ */
+export function parseWordsFile(text, filePath) {
+  const separator = path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += c; // escaped quote
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === separator) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * read file and load its content, which is cached until mtime of the file changes.
+ * @param {string} filePath - Path of the file
+ * @param {function} load - Function to load content from text
+ * @param {string} [key] - Key to cache contents loaded differently from the same file
+ * @return {*} Loaded content if the file exists, otherwise null
+ */
+function readFileCached(filePath, load, key) {
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (ex) {
+    return null; // file not found
+  }
+
+  const cacheKey = key === undefined ? filePath : `${filePath}\n${key}`;
+  const cached = fileCache.get(cacheKey);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.content;
+  }
+
+  const content = load(fs.readFileSync(filePath, 'utf-8'), filePath);
+  fileCache.set(cacheKey, { mtimeMs: stats.mtimeMs, content: content });
+  return content;
+}
+
+/**
+ * load YAML text.
+ * @param {string} text - YAML text
+ * @param {string} filePath - Path of the file
+ * @return {Object} Loaded object
+ */
+function loadYAML(text, filePath) {
+  return yaml.safeLoad(text, { filename: filePath });
+}
+
+/**
+ * parse a chapter and create its scope. Syntax errors in the chapter are ignored.
+ * @param {string} text - Text of the chapter
+ * @param {Options} options - Options of the plugin
+ * @return {Scope} Scope object
+ */
+function loadChapterScope(text, options) {
+  const chapterOptions = Object.assign({}, options, {
+    diagnostics: [],
+    project: null,
+    validateReferences: false,
+    resolveReferences: false,
+    validateMappedFiles: false,
+  });
+  return createScope(parse(text, chapterOptions));
+}
@@ -0,0 +1,373 @@
+// LICENSE : MIT
+'use strict';
+import { traverse } from '@textlint/ast-traverse';
+import { Syntax } from './mapping';
+import { createInlineNode, contextFromNode, reportError } from './parser-utils';
+
+/**
+ * kinds of elements referred by inline tags.
+ */
+export const ReferenceKinds = {
+  Chapter: 'chapter',
+  List: 'list',
+  Image: 'image',
+  Table: 'table',
+  Equation: 'equation',
+  Footnote: 'footnote',
+  Endnote: 'endnote',
+  Heading: 'heading',
+  Column: 'column',
+};
+
+// inline tag name => kind of the element the tag refers to
+const ReferenceTagKinds = {
+  chap: ReferenceKinds.Chapter,
+  title: ReferenceKinds.Chapter,
+  chapref: ReferenceKinds.Chapter,
+  list: ReferenceKinds.List,
+  img: ReferenceKinds.Image,
+  imgref: ReferenceKinds.Image,
+  table: ReferenceKinds.Table,
+  eq: ReferenceKinds.Equation,
+  fn: ReferenceKinds.Footnote,
+  endnote: ReferenceKinds.Endnote,
+  hd: ReferenceKinds.Heading,
+  sec: ReferenceKinds.Heading,
+  secref: ReferenceKinds.Heading,
+  sectitle: ReferenceKinds.Heading,
+  column: ReferenceKinds.Column,
+};
+
+// block name => kind of the element the block defines with its first argument
+const DefinitionBlockKinds = {
+  list: ReferenceKinds.List,
+  listnum: ReferenceKinds.List,
+  image: ReferenceKinds.Image,
+  graph: ReferenceKinds.Image,
+  table: ReferenceKinds.Table,
+  imgtable: ReferenceKinds.Table,
+  texequation: ReferenceKinds.Equation,
+  footnote: ReferenceKinds.Footnote,
+  endnote: ReferenceKinds.Endnote,
+};
+
+/**
+ * get kind of the element which the Reference node refers to.
+ * @param {TxtNode} node - Reference node
+ * @return {string} one of ReferenceKinds, or undefined for unknown tags
+ */
+export function referenceKindOf(node) {
+  return ReferenceTagKinds[node.name];
+}
+
+/**
+ * collect IDs of elements defined in the document.
+ * Only the first definition is collected for duplicated IDs.
+ * @param {TxtNode} ast - Document node
+ * @param {function} [onDuplicate] - Function called with kind, ID and node for duplicated IDs
+ * @return {Object} Map of IDs to defining nodes for each kind
+ */
+export function collectDefinitions(ast, onDuplicate=() => {}) {
+  const definitions = {};
+  Object.keys(ReferenceKinds).forEach(key => {
+    definitions[ReferenceKinds[key]] = new Map();
+  });
+
+  const define = (kind, id, node) => {
+    if (definitions[kind].has(id)) {
+      onDuplicate(kind, id, node);
+      return;
+    }
+
+    definitions[kind].set(id, node);
+  };
+
+  traverse(ast, {
+    enter(node) {
+      if (node.type === Syntax.Heading) {
+        const kind = node.options.indexOf('column') >= 0 ?
+          ReferenceKinds.Column : ReferenceKinds.Heading;
+        if (node.id) {
+          define(kind, node.id, node);
+        }
+      } else if (node.args && DefinitionBlockKinds[node.name] && node.args[0]) {
+        define(DefinitionBlockKinds[node.name], node.args[0], node);
+      }
+    },
+  });
+
+  return definitions;
+}
+
+/**
+ * collect headings in the document.
+ * @param {TxtNode} ast - Document node
+ * @return {[TxtNode]} Heading nodes
+ */
+function collectHeadings(ast) {
+  const headings = [];
+  traverse(ast, {
+    enter(node) {
+      if (node.type === Syntax.Heading) {
+        headings.push(node);
+      }
+    },
+  });
+
+  return headings;
+}
+
+/**
+ * create scope of the document, which has elements can be referred.
+ * @param {TxtNode} ast - Document node
+ * @return {Scope} Scope object
+ */
+export function createScope(ast) {
+  const duplicates = [];
+  const definitions = collectDefinitions(ast, (kind, id, node) => {
+    duplicates.push({ kind, id, node });
+  });
+  const headings = collectHeadings(ast);
+  const chapterHeading = headings.find(heading => heading.depth === 1);
+
+  return {
+    definitions: definitions,
+    duplicates: duplicates,
+    headings: headings,
+    title: chapterHeading ? chapterHeading.label : null,
+  };
+}
+
+/**
+ * find heading referred by the ID in the scope.
+ * Headings can be referred by their labels as well as their IDs.
+ * @param {Scope} scope - Scope object
+ * @param {string} kind - ReferenceKinds.Heading or ReferenceKinds.Column
+ * @param {string} id - ID of the heading, e.g. "section|subsection"
+ * @return {TxtNode} Heading node if found, otherwise undefined
+ */
+function findHeading(scope, kind, id) {
+  id = id.split('|').pop();
+  return scope.definitions[kind].get(id) ||
+    scope.headings.find(heading => heading.label === id);
+}
+
+/**
+ * check whether the ID is defined in the scope.
+ * @param {Scope} scope - Scope object
+ * @param {string} kind - One of ReferenceKinds
+ * @param {string} id - ID to check
+ * @return {boolean} true if defined
+ */
+function isDefined(scope, kind, id) {
+  if (kind === ReferenceKinds.Heading || kind === ReferenceKinds.Column) {
+    return findHeading(scope, kind, id) !== undefined;
+  }
+
+  return scope.definitions[kind].has(id);
+}
+
+/**
+ * find the chapter which the reference refers to.
+ * @param {TxtNode} node - Reference node
+ * @param {Scope} scope - Scope of the document
+ * @param {Project} project - Project object, or null
+ * @return {Object} Object having scope and number of the chapter if found, otherwise null
+ */
+function targetChapterOf(node, scope, project) {
+  const kind = referenceKindOf(node);
+  const currentChapter = project && project.chapters.get(project.chapterId);
+  if (node.chapterId === null ||
+      // @<hd>{section|subsection} refers to a heading in the same chapter
+      kind === ReferenceKinds.Heading && isDefined(scope, kind, node.chapterId) ||
+      project && node.chapterId === project.chapterId) {
+    return {
+      scope: scope,
+      number: currentChapter ? currentChapter.number : null,
+    };
+  }
+
+  const chapter = project && project.chapters.get(node.chapterId);
+  return chapter ? chapter : null;
+}
+
+/**
+ * report duplicated IDs and references which refer to undefined IDs.
+ * References to other chapters are validated only when options.project is available.
+ * @param {TxtNode} ast - Document node
+ * @param {Scope} scope - Scope of the document
+ * @param {Options} options - Options of the plugin
+ */
+export function validateReferences(ast, scope, options) {
+  const project = options.project;
+  scope.duplicates.forEach(duplicate => {
+    reportError(options, `Duplicated ${duplicate.kind} ID "${duplicate.id}"`,
+                contextFromNode(duplicate.node));
+  });
+
+  traverse(ast, {
+    enter(node) {
+      if (node.type !== Syntax.Reference) {
+        return;
+      }
+
+      const kind = referenceKindOf(node);
+      if (!kind) {
+        return;
+      }
+
+      const context = contextFromNode(node);
+      if (kind === ReferenceKinds.Chapter) {
+        if (project && !project.chapters.has(node.chapterId)) {
+          reportError(options, `Undefined chapter ID "${node.chapterId}"`, context);
+        }
+
+        return;
+      }
+
+      const chapter = targetChapterOf(node, scope, project);
+      if (chapter === null) {
+        if (project) {
+          reportError(options, `Undefined chapter ID "${node.chapterId}"`, context);
+        }
+
+        return; // reference to other chapter cannot be validated without project
+      }
+
+      if (!chapter.scope) {
+        return; // file of the chapter is not found
+      }
+
+      if (node.targetId === '' || !isDefined(chapter.scope, kind, node.targetId)) {
+        const message = chapter.scope === scope ?
+          `Undefined ${kind} ID "${node.targetId}"` :
+          `Undefined ${kind} ID "${node.targetId}" in chapter "${node.chapterId}"`;
+        reportError(options, message, context);
+      }
+    },
+  });
+}
+
+// prefixes of numbered elements, which approximate the rendered text in Japanese
+const CaptionPrefixes = {
+  list: 'リスト',
+  image: '図',
+  table: '表',
+  equation: '式',
+};
+
+/**
+ * add Str node having the rendered text of the reference to Reference nodes.
+ * The Str node has the same range as the Reference node.
+ * @param {TxtNode} ast - Document node
+ * @param {Scope} scope - Scope of the document
+ * @param {Options} options - Options of the plugin
+ */
+export function resolveReferences(ast, scope, options) {
+  traverse(ast, {
+    enter(node) {
+      if (node.type !== Syntax.Reference || !referenceKindOf(node)) {
+        return;
+      }
+
+      const text = renderReference(node, scope, options.project);
+      if (text !== null) {
+        const strNode = createInlineNode(Syntax.Str, node.raw, contextFromNode(node));
+        strNode.value = text;
+        node.children = [strNode];
+      }
+    },
+  });
+}
+
+/**
+ * render the reference like Re:VIEW does.
+ * @param {TxtNode} node - Reference node
+ * @param {Scope} scope - Scope of the document
+ * @param {Project} project - Project object, or null
+ * @return {string} Rendered text if the reference is resolved, otherwise null
+ */
+export function renderReference(node, scope, project) {
+  const kind = referenceKindOf(node);
+  if (kind === ReferenceKinds.Chapter) {
+    const chapter = project && project.chapters.get(node.chapterId);
+    if (!chapter || !chapter.scope) {
+      return null;
+    }
+
+    return renderChapter(node.name, chapter);
+  }
+
+  const chapter = targetChapterOf(node, scope, project);
+  if (chapter === null || !chapter.scope || node.targetId === '') {
+    return null;
+  }
+
+  if (kind === ReferenceKinds.Heading || kind === ReferenceKinds.Column) {
+    const heading = findHeading(chapter.scope, kind, node.targetId);
+    return heading ? renderHeading(node.name, heading, chapter) : null;
+  }
+
+  const ids = Array.from(chapter.scope.definitions[kind].keys());
+  const index = ids.indexOf(node.targetId);
+  if (index < 0) {
+    return null;
+  }
+
+  const number = chapter.number ? `${chapter.number}.${index + 1}` : `${index + 1}`;
+  switch (kind) {
+    case ReferenceKinds.Footnote:
+      return `*${index + 1}`;
+    case ReferenceKinds.Endnote:
+      return `(${index + 1})`;
+    default:
+      return `${CaptionPrefixes[kind]}${number}`;
+  }
+}
+
+/**
+ * render reference to a chapter, e.g. @<chap>{ch01} is rendered as "第1章".
+ * @param {string} name - Name of the tag
+ * @param {Chapter} chapter - Chapter object
+ * @return {string} Rendered text
+ */
+function renderChapter(name, chapter) {
+  const title = chapter.scope.title || '';
+  const number = chapter.number === null ? null :
+    /^\d+$/.test(chapter.number) ? `第${chapter.number}章` : `付録${chapter.number}`;
+  switch (name) {
+    case 'title':
+      return title;
+    case 'chapref':
+      return number ? `${number}「${title}」` : title;
+    default:
+      return number || title;
+  }
+}
+
+/**
+ * render reference to a heading, e.g. @<hd>{intro} is rendered as "「1.1 はじめに」".
+ * Only sections (depth 2) are numbered as the default secnolevel of Re:VIEW.
+ * @param {string} name - Name of the tag
+ * @param {TxtNode} heading - Heading node
+ * @param {Chapter} chapter - Chapter object
+ * @return {string} Rendered text
+ */
+function renderHeading(name, heading, chapter) {
+  let sectionNumber = null;
+  if (chapter.number && heading.depth === 2 && heading.options.length === 0) {
+    const sections = chapter.scope.headings.filter(h => h.depth === 2 && h.options.length === 0);
+    sectionNumber = `${chapter.number}.${sections.indexOf(heading) + 1}`;
+  }
+
+  switch (name) {
+    case 'column':
+      return `コラム「${heading.label}」`;
+    case 'sec':
+      return sectionNumber || heading.label;
+    case 'sectitle':
+      return heading.label;
+    default:
+      return sectionNumber ? `「${sectionNumber} ${heading.label}」` : `「${heading.label}」`;
+  }
+}
@@ -4,25 +4,25 @@ import assert from 'assert';
 import { traverse } from '@textlint/ast-traverse';
 import { test as testTextlintAST } from '@textlint/ast-tester';
 import { Syntax } from './mapping';
-import { parseAsChunks } from './chunker';
-import { ChunkParsers } from './chunk-parsers';
+import { splitLines, parseDocumentLines } from './chunker';
+import { parseChunks } from './chunk-parsers';
+import { normalizeOptions } from './options';
+import { createScope, validateReferences, resolveReferences } from './references';
+import { validateMappedFiles } from './preprocessor';
+import { reportComments } from './comments';
 
 /**
  * parse text and return ast mapped location info.
  * @param {string} text
+ * @param {Object} [options] - Options of the plugin
  * @return {TxtNode}
  */
-export function parse(text) {
-  const lines = text.match(/(?:.*\r?\n|.+$)/g); // split lines preserving line endings
-  const chunks = parseAsChunks(text);
-  const nodes = [];
-  chunks.forEach(chunk => {
-    const parser = ChunkParsers[chunk.type];
-    const node = parser(chunk);
-    if (node !== null) {
-      nodes.push(node);
-    }
-  });
+export function parse(text, options) {
+  options = normalizeOptions(options);
+  const lines = text.match(/(?:.*\r?\n|.+$)/g) || ['']; // split lines preserving line endings
+  const lineObjects = splitLines(text);
+  const chunks = parseDocumentLines(lineObjects, options);
+  const nodes = parseChunks(chunks, options);
 
   const ast = {
     type: Syntax.Document,
@@ -41,6 +41,24 @@ export function parse(text) {
     children: nodes,
   };
 
+  reportComments(lineObjects, options);
+
+  if (options.validateMappedFiles && options.filePath) {
+    const directives = lineObjects.filter(line => line.directive).map(line => line.directive);
+    validateMappedFiles(directives, options);
+  }
+
+  if (options.validateReferences || options.resolveReferences) {
+    const scope = createScope(ast);
+    if (options.validateReferences) {
+      validateReferences(ast, scope, options);
+    }
+
+    if (options.resolveReferences) {
+      resolveReferences(ast, scope, options);
+    }
+  }
+
   validateAST(ast, text, lines);
 
   return ast;
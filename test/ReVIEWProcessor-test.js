@@ -48,4 +48,188 @@ describe('ReVIEWPlugin', function () {
       });
     });
   });
+
+  context('when target file contains syntax errors', function () {
+    it('should report syntax errors with other errors', function () {
+      const fixturePath = path.join(__dirname, '/fixtures/syntax-error.re');
+      return lintFile(fixturePath, []).then(results => {
+        assert.deepEqual(results.messages.map(message => message.ruleId),
+                         ['review', 'no-todo', 'review', 'review']);
+        assert.deepEqual(results.messages.map(message => [message.line, message.column]),
+                         [[3, 7], [5, 1], [7, 1], [9, 1]]);
+        assert(results.messages[0].message.includes('@<ruby>'));
+        assert(results.messages[0].severity === 2);
+        assert(results.messages[0].index === 23);
+        assert(results.messages[3].message === '//list is not closed with //}');
+      });
+    });
+  });
+
+  context('when target file is in a project', function () {
+    it('should report unresolved references to other chapters', function () {
+      const fixturePath = path.join(__dirname, '/fixtures/project/contents/ch01.re');
+      return lintFile(fixturePath, []).then(results => {
+        assert.deepEqual(results.messages.map(message => message.message), [
+          'Undefined list ID "missing" in chapter "ch02"',
+          'Undefined chapter ID "ch03"',
+        ]);
+        assert.deepEqual(results.messages.map(message => [message.line, message.column]),
+                         [[5, 10], [5, 36]]);
+      });
+    });
+
+    it('should not report references when validateReferences is false', function () {
+      const fixturePath = path.join(__dirname, '/fixtures/project/contents/ch01.re');
+      return lintFile(fixturePath, [], { validateReferences: false }).then(results => {
+        assert(results.messages.length === 0);
+      });
+    });
+  });
+
+  context('when target file contains comments', function () {
+    const fixturePath = path.join(__dirname, '/fixtures/comments.re');
+
+    it('should report #@warn and matched comments as warnings', function () {
+      const options = { reportWarnComments: true, reportCommentPatterns: ['^TODO'] };
+      return lintFile(fixturePath, [], options).then(results => {
+        assert.deepEqual(results.messages.map(message => message.ruleId),
+                         ['review-comment', 'review-comment']);
+        assert.deepEqual(results.messages.map(message => message.message),
+                         ['要確認', 'TODO: rewrite this paragraph.']);
+        assert.deepEqual(results.messages.map(message => [message.line, message.column]),
+                         [[3, 1], [5, 1]]);
+        assert.deepEqual(results.messages.map(message => message.severity), [1, 1]);
+      });
+    });
+
+    it('should report comments with configured severity', function () {
+      const options = { reportWarnComments: true, commentSeverity: 'error' };
+      return lintFile(fixturePath, [], options).then(results => {
+        assert(results.messages.length === 1);
+        assert(results.messages[0].severity === 2);
+      });
+    });
+
+    it('should report comments with info severity as textlint does', function () {
+      const options = { reportWarnComments: true, commentSeverity: 'info' };
+      return lintFile(fixturePath, [], options).then(results => {
+        assert(results.messages.length === 1);
+        assert(results.messages[0].severity === 0);
+      });
+    });
+  });
+
+  context('when target file contains an unknown block', function () {
+    const fixturePath = path.join(__dirname, '/fixtures/unknown-block.re');
+
+    it('should report error in the block by default', function () {
+      return lintFile(fixturePath, []).then(results => {
+        assert(results.messages.length === 1);
+        assert(results.messages[0].line === 4);
+      });
+    });
+
+    it('should not report error in the block when unknownBlock is ignore', function () {
+      return lintFile(fixturePath, [], { unknownBlock: 'ignore' }).then(results => {
+        assert(results.messages.length === 0);
+      });
+    });
+  });
+
+  context('when fixing the text', function () {
+    // replace "foo" with "a}b$c"
+    const fixableRule = {
+      linter(context) {
+        const { Syntax, RuleError, fixer, report, getSource } = context;
+        return {
+          [Syntax.Str](node) {
+            const index = getSource(node).indexOf('foo');
+            if (index >= 0) {
+              report(node, new RuleError('foo', {
+                index,
+                fix: fixer.replaceTextRange([index, index + 3], 'a}b$c'),
+              }));
+            }
+          },
+        };
+      },
+      fixer(context) {
+        return fixableRule.linter(context);
+      },
+    };
+
+    // replace "foo" with "bar" in the source of Str nodes
+    const rawFixableRule = {
+      linter(context) {
+        const { Syntax, RuleError, fixer, report, getSource } = context;
+        return {
+          [Syntax.Str](node) {
+            const source = getSource(node);
+            if (source.indexOf('foo') >= 0) {
+              report(node, new RuleError('foo', {
+                fix: fixer.replaceText(node, source.replace('foo', 'bar')),
+              }));
+            }
+          },
+        };
+      },
+      fixer(context) {
+        return rawFixableRule.linter(context);
+      },
+    };
+
+    const fixText = (text, rules = [{ ruleId: 'fixable', rule: fixableRule }]) => {
+      const kernel = new TextlintKernel();
+      return kernel.fixText(text, {
+        ext: '.re',
+        plugins: [{ pluginId: 'review', plugin: ReVIEWPlugin, options: true }],
+        rules: rules,
+      });
+    };
+
+    it('should escape fixes inside inline tags', function () {
+      return fixText('foo @<b>{foo}\n').then(result => {
+        assert(result.output === 'a}b$c @<b>{a\\}b$c}\n');
+      });
+    });
+
+    it('should not apply fixes breaking inline tags', function () {
+      return fixText('@<b>$foo$\n').then(result => {
+        assert(result.output === '@<b>$foo$\n');
+        assert(result.remainingMessages.length === 1);
+      });
+    });
+
+    it('should not escape characters already escaped in the source', function () {
+      return fixText('@<b>{foo a\\}b}\n', [{ ruleId: 'fixable', rule: rawFixableRule }])
+        .then(result => {
+          assert(result.output === '@<b>{bar a\\}b}\n');
+        });
+    });
+
+    it('should escape fixes without verifying them when linting', function () {
+      const kernel = new TextlintKernel();
+      return kernel.lintText('@<b>$foo$ @<b>{foo}\n', {
+        ext: '.re',
+        plugins: [{ pluginId: 'review', plugin: ReVIEWPlugin, options: true }],
+        rules: [{ ruleId: 'fixable', rule: fixableRule }],
+      }).then(result => {
+        assert.deepEqual(result.messages.map(message => message.fix), [
+          { range: [5, 8], text: 'a}b$c' },
+          { range: [15, 18], text: 'a\\}b$c' },
+        ]);
+      });
+    });
+
+    it('should report syntax errors once with multiple fixable rules', function () {
+      const rules = [
+        { ruleId: 'fixable', rule: fixableRule },
+        { ruleId: 'fixable2', rule: fixableRule },
+      ];
+      return fixText('foo @<ruby>{foo}\n', rules).then(result => {
+        const ruleIds = result.remainingMessages.map(message => message.ruleId);
+        assert(ruleIds.filter(ruleId => ruleId === 'review').length === 1);
+      });
+    });
+  });
 });
@@ -0,0 +1,193 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import fs from 'fs';
+import path from 'path';
+import { parse } from '../src/review-to-ast';
+import { toMarkdown } from '../src/ast-to-markdown';
+
+function convert(text, options) {
+  return toMarkdown(parse(text, options));
+}
+
+describe('ast-to-markdown', function () {
+  describe('#toMarkdown', function () {
+    it('should convert headings and paragraphs', function () {
+      const result = convert(`={intro} Introduction
+
+First line
+second line.
+
+== Section
+`);
+      assert(result.markdown === `# Introduction
+
+First line
+second line.
+
+## Section
+`);
+      assert(result.diagnostics.length === 0);
+    });
+
+    it('should convert inline tags', function () {
+      const result = convert(
+        '@<b>{bold @<i>{italic}} @<code>{a `b`} @<del>{del} @<sup>{2} ' +
+        '@<kw>{HTTP, HyperText Transfer Protocol} @<ruby>{漢字, かんじ} ' +
+        '@<href>{http://example.com, example} @<href>{http://example.com}');
+      assert(result.markdown === '**bold *italic*** `` a `b` `` ~~del~~ <sup>2</sup> ' +
+             '**HTTP** (HyperText Transfer Protocol) <ruby>漢字<rt>かんじ</rt></ruby> ' +
+             '[example](http://example.com) <http://example.com>\n');
+      assert(result.diagnostics.length === 0);
+    });
+
+    it('should convert inline tags with code strategy to code spans', function () {
+      const result = convert('= T\n\n@<userinput>{ls -l} @<kbd>{Ctrl}@<comment>{hidden}',
+                             { inlines: { userinput: 'code' } });
+      assert(result.markdown === '# T\n\n`ls -l` `Ctrl`\n');
+      assert(result.diagnostics.length === 0);
+    });
+
+    it('should escape characters of Markdown', function () {
+      const result = convert(`# not heading *a* [b]
+1. not list`);
+      assert(result.markdown === `\\# not heading \\*a\\* \\[b\\]
+1\\. not list
+`);
+    });
+
+    it('should convert lists', function () {
+      const result = convert(` * item 1
+ ** nested
+ * item 2
+
+ 1. first
+ 2. second
+`);
+      assert(result.markdown === `- item 1
+  - nested
+- item 2
+
+1. first
+2. second
+`);
+    });
+
+    it('should convert tables with caption', function () {
+      const result = convert(`//table[id][Caption]{
+Name	Value
+------------
+a|b	.
+//}`);
+      assert(result.markdown === `Caption
+
+| Name | Value |
+| --- | --- |
+| a\\|b |  |
+`);
+    });
+
+    it('should convert code blocks with language', function () {
+      const result = convert(`//list[id][Caption][ruby]{
+puts 1
+//}
+
+//emlist[][js]{
+\`\`\`
+//}`);
+      assert(result.markdown === `Caption
+
+\`\`\`ruby
+puts 1
+\`\`\`
+
+\`\`\`\`js
+\`\`\`
+\`\`\`\`
+`);
+    });
+
+    it('should convert images and footnotes', function () {
+      const result = convert(`//image[sample][Sample image]{
+//}
+
+Text@<fn>{note}.
+
+//footnote[note][Footnote]`);
+      assert(result.markdown === `![Sample image](sample)
+
+Text[^note].
+
+[^note]: Footnote
+`);
+    });
+
+    it('should convert quotes and short columns to block quotes', function () {
+      const result = convert(`//quote{
+Quoted.
+//}
+
+//note[Note]{
+Noted.
+//}`);
+      assert(result.markdown === `> Quoted.
+
+> **Note**
+>
+> Noted.
+`);
+      assert.deepEqual(result.diagnostics.map(diagnostic => diagnostic.message),
+                       ['//note is not supported in Markdown']);
+    });
+
+    it('should remove directives in paragraphs', function () {
+      const result = convert('first line\n#@require(foo.js)\nsecond line');
+      assert(result.markdown === 'first line\nsecond line\n');
+      assert.deepEqual(result.diagnostics, [
+        { message: '#@require is not supported in Markdown', index: 11, line: 2, column: 0 },
+      ]);
+    });
+
+    it('should report constructs which cannot be represented', function () {
+      const result = convert(`@<list>{sample} and @<ami>{text}
+
+ : term
+	description
+
+//noindent
+
+//raw[|latex|\\\\newpage]
+`, { validateReferences: false });
+      assert(result.markdown === `sample and text
+
+**term**
+
+description
+`);
+      assert.deepEqual(result.diagnostics, [
+        { message: '@<list> is not supported in Markdown', index: 0, line: 1, column: 0 },
+        { message: '@<ami> is not supported in Markdown', index: 20, line: 1, column: 20 },
+        { message: 'Definition list is not supported in Markdown', index: 34, line: 3, column: 0 },
+        { message: '//noindent is not supported in Markdown', index: 56, line: 6, column: 0 },
+        { message: '//raw for latex is not supported in Markdown', index: 68, line: 8, column: 0 },
+      ]);
+    });
+
+    it('should convert resolved references to text', function () {
+      const result = convert(`@<list>{sample}
+
+//list[sample][Sample]{
+//}`, { resolveReferences: true });
+      assert(result.markdown.startsWith('リスト1\n'));
+    });
+
+    it('should convert the fixture', function () {
+      const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'test.re'), 'utf-8');
+      const result = convert(text);
+      assert(result.markdown.includes('## About\n'));
+      assert(result.markdown.includes('[^smtp]: <https://ja.wikipedia.org/wiki/Simple_Mail_Transfer_Protocol>'));
+      assert(!result.markdown.includes('textlint-disable'));
+      assert(result.diagnostics.length === 0);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import fs from 'fs';
+import path from 'path';
+import { parse } from '../src/review-to-ast';
+import { stringify } from '../src/ast-to-review';
+import * as plugin from '../src/index';
+
+/**
+ * get properties of nodes except positions, to compare ASTs of different texts.
+ * @param {TxtNode} node - Node
+ * @return {Object} Shape of the node
+ */
+function shapeOf(node) {
+  const shape = {};
+  Object.keys(node).forEach(key => {
+    if (['raw', 'range', 'loc', 'children', 'escapes'].indexOf(key) < 0) {
+      shape[key] = node[key];
+    }
+  });
+
+  if (node.children) {
+    shape.children = node.children.map(shapeOf);
+  }
+
+  return shape;
+}
+
+function removeRaw(node) {
+  delete node.raw;
+  (node.children || []).forEach(removeRaw);
+}
+
+describe('ast-to-review', function () {
+  describe('#stringify', function () {
+    it('should be exported with parse from the plugin', function () {
+      assert(plugin.parse === parse);
+      assert(plugin.stringify === stringify);
+    });
+
+    const fixtureNames = [
+      'test.re', 'syntax-error.re', 'comments.re', 'unknown-block.re', 'stringify.re',
+      'project/contents/ch01.re', 'preproc/mapped.re',
+    ];
+    fixtureNames.forEach(fixtureName => {
+      it(`should reproduce ${fixtureName}`, function () {
+        const text = fs.readFileSync(path.join(__dirname, 'fixtures', fixtureName), 'utf-8');
+        assert(stringify(parse(text)) === text);
+        assert(stringify(parse(text, { softBreaks: true, resolveReferences: true })) === text);
+      });
+    });
+
+    it('should reproduce comments between list items of different depths', function () {
+      const text = ' * a\n#@# c\n ** b\n#@# d\n * e\n';
+      assert(stringify(parse(text)) === text);
+    });
+
+    it('should generate equivalent text of nodes without raw', function () {
+      const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'stringify.re'), 'utf-8');
+      const diagnostics = [];
+      const ast = parse(text, { diagnostics });
+      removeRaw(ast);
+      const generatedDiagnostics = [];
+      const generated = stringify(ast);
+      assert(generated !== text);
+      assert.deepEqual(shapeOf(parse(generated, { diagnostics: generatedDiagnostics })),
+                       shapeOf(parse(text)));
+      assert.deepEqual(generatedDiagnostics, diagnostics);
+    });
+
+    it('should escape modified values in inline tags and block args', function () {
+      const ast = parse(`@<b>{foo}
+
+//list[id][foo]{
+//}`);
+      ast.children[0].children[0].children[0].value = 'a}b';
+      ast.children[1].children[0].children[0].value = 'a[0]';
+      assert(stringify(ast) === `@<b>{a\\}b}
+
+//list[id][a[0\\]]{
+//}`);
+    });
+
+    it('should keep escapes of unmodified values', function () {
+      const ast = parse(`@<b>{a\\}b} @<m>$\\frac{1}{2}$`);
+      assert(stringify(ast.children[0]) === `@<b>{a\\}b} @<m>$\\frac{1}{2}$`);
+    });
+
+    it('should insert new nodes between original nodes', function () {
+      const ast = parse(`= Title
+
+ * item 1
+ * item 3
+`);
+      ast.children.splice(1, 0, {
+        type: 'Paragraph',
+        children: [{ type: 'Str', value: 'New paragraph' }],
+      });
+      const list = ast.children[2];
+      list.children.splice(1, 0, {
+        type: 'ListItem',
+        children: [{ type: 'Strong', name: 'b', children: [{ type: 'Str', value: 'item}2' }] }],
+      });
+      assert(stringify(ast) === `= Title
+
+New paragraph
+
+ * item 1
+ * @<b>{item\\}2}
+ * item 3
+`);
+    });
+
+    it('should regenerate single line directives in paragraphs', function () {
+      const text = 'first line\n#@require(foo.js,bar.js)\nsecond line\n';
+      const ast = parse(text);
+      removeRaw(ast);
+      assert(stringify(ast) === text);
+    });
+
+    it('should regenerate modified nodes whose raw is removed', function () {
+      const ast = parse(`=={intro} Introduction
+
+ 1. first
+ 2. second
+`);
+      const heading = ast.children[0];
+      delete heading.raw;
+      heading.depth = 3;
+      const list = ast.children[1];
+      delete list.raw;
+      list.children.reverse().forEach(item => delete item.raw);
+      assert(stringify(ast) === `==={intro} Introduction
+
+ 1. second
+ 2. first
+`);
+    });
+
+    it('should generate table rows separated by tabs', function () {
+      const ast = parse(`//table[id][caption]{
+a	b
+------------
+c	d
+//}`);
+      const table = ast.children[0];
+      removeRaw(table);
+      table.children[2].children.splice(0, 1);
+      assert(stringify(table) === `//table[id][caption]{
+a	b
+------------
+.	d
+//}`);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import { parse } from '../src/review-to-ast';
+import { extractText } from '../src/ast-to-text';
+
+describe('ast-to-text', function () {
+  describe('#extractText', function () {
+    it('should extract prose separating blocks with empty lines', function () {
+      const result = extractText(parse(`= Title
+
+First line
+second line.
+
+ * item
+`));
+      assert(result.text === 'Title\n\nFirst line\nsecond line.\n\nitem');
+    });
+
+    it('should skip code, comments, references and raw content', function () {
+      const result = extractText(parse(`Use @<code>{var a} in @<list>{sample}@<fn>{note}.
+#@# comment
+See @<href>{http://example.com} or @<href>{http://example.com, the site}.
+
+//list[sample][Sample code]{
+var a = 1;
+//}
+
+//raw[|html|<br>]
+
+//footnote[note][Note text]
+`, { validateReferences: false }));
+      assert(result.text === 'Use  in .\nSee  or the site.\n\nSample code\n\nNote text');
+    });
+
+    it('should extract text of captions and table cells', function () {
+      const result = extractText(parse(`//table[id][Caption]{
+a	b
+//}`));
+      assert(result.text === 'Caption\n\na\n\nb');
+    });
+
+    it('should join lines with soft breaks when softBreaks is enabled', function () {
+      const result = extractText(parse(`日本語の
+文章です。
+English
+text.`, { softBreaks: true }));
+      assert(result.text === '日本語の文章です。English text.');
+      const offset = result.text.indexOf('text.');
+      assert.deepEqual(result.positionOf(offset), { index: 19, line: 4, column: 0 });
+    });
+
+    it('should map offsets in the text to positions in the document', function () {
+      const text = `= Title
+
+Escaped @<b>{a\\}b} and
+next line.
+`;
+      const result = extractText(parse(text));
+      assert(result.text === 'Title\n\nEscaped a}b and\nnext line.');
+      assert.deepEqual(result.positionOf(0), { index: 2, line: 1, column: 2 });
+      // separator is mapped to the end of the preceding text
+      assert.deepEqual(result.positionOf(5), { index: 7, line: 1, column: 7 });
+      const escapedOffset = result.text.indexOf('}');
+      assert.deepEqual(result.positionOf(escapedOffset), { index: 23, line: 3, column: 14 });
+      assert(text[23] === '\\');
+      const bOffset = result.text.indexOf('b and');
+      assert(text[result.positionOf(bOffset).index] === 'b');
+      const nextOffset = result.text.indexOf('next');
+      assert.deepEqual(result.positionOf(nextOffset), { index: 32, line: 4, column: 0 });
+    });
+
+    it('should extract expanded words of @<w> and @<wb>', function () {
+      const words = new Map([['lang', 'JavaScript'], ['os', 'Linux']]);
+      const text = 'Use @<w>{lang} on @<wb>{os}.';
+      const result = extractText(parse(text, { words }));
+      assert(result.text === 'Use JavaScript on Linux.');
+      // offsets in a word are mapped to the beginning of the tag
+      assert.deepEqual(result.positionOf(result.text.indexOf('Script')),
+                       { index: 4, line: 1, column: 4 });
+    });
+
+    it('should return empty text for a document without prose', function () {
+      const result = extractText(parse(`//emlist{
+code
+//}`));
+      assert(result.text === '');
+      assert(result.positionOf(0) === null);
+    });
+  });
+});
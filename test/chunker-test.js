@@ -2,6 +2,7 @@
 'use strict';
 import assert from 'power-assert';
 import { parseAsChunks } from '../src/chunker';
+import { normalizeOptions } from '../src/options';
 
 describe('chunker', function () {
   describe('#parseAsChunks', function () {
@@ -155,6 +156,107 @@ second line`);
                        ['Paragraph', 'Block', 'Paragraph']);
     });
 
+    it('should parse nested blocks in a short column as children', function () {
+      const chunks = parseAsChunks(`//note[Note]{
+Column text.
+
+//list[foo][Foo]{
+let x = 0;
+//}
+
+ * item
+//}
+
+after`);
+      assert(chunks.length === 2);
+      assert.deepEqual(chunks.map(chunk => chunk.type),
+                       ['Block', 'Paragraph']);
+      const note = chunks[0];
+      assert(note.lines.length === 9);
+      assert(note.raw.endsWith('//}\n'));
+      assert.deepEqual(note.children.map(chunk => chunk.type),
+                       ['Paragraph', 'Block', 'UnorderedList']);
+      assert.deepEqual(note.children.map(chunk => chunk.raw), [
+        'Column text.\n',
+        '//list[foo][Foo]{\nlet x = 0;\n//}\n',
+        ' * item\n',
+      ]);
+      assert(note.children[1].lines[0].lineNumber === 4);
+    });
+
+    ['point', 'shoot', 'expert', 'blockquote', 'doorquote', 'flushright', 'bibpaper', 'talk']
+      .forEach(name => {
+        it(`should parse nested blocks in //${name} as children`, function () {
+          const options = normalizeOptions({});
+          const chunks = parseAsChunks(`//${name}[arg]{
+foo
+//list[a][b]{
+code
+//}
+bar
+//}`, options);
+          assert.deepEqual(chunks.map(chunk => chunk.type), ['Block']);
+          assert.deepEqual(chunks[0].children.map(chunk => chunk.type),
+                           ['Paragraph', 'Block', 'Paragraph']);
+          assert(options.diagnostics.length === 0);
+        });
+      });
+
+    it('should parse nested blocks in unknown and custom prose blocks', function () {
+      const text = `//mycolumn{
+foo
+//list{
+code
+//}
+bar
+//}`;
+      const chunks = parseAsChunks(text, normalizeOptions({ blocks: { mycolumn: 'prose' } }));
+      assert.deepEqual(chunks[0].children.map(chunk => chunk.type),
+                       ['Paragraph', 'Block', 'Paragraph']);
+
+      const defaultChunks = parseAsChunks(text, normalizeOptions({}));
+      assert.deepEqual(defaultChunks[0].children.map(chunk => chunk.type),
+                       ['Paragraph', 'Block', 'Paragraph']);
+
+      const codeChunks = parseAsChunks(text, normalizeOptions({ unknownBlock: 'code' }));
+      assert(codeChunks[0].children === undefined);
+    });
+
+    it('should not parse nested blocks in custom code blocks', function () {
+      const chunks = parseAsChunks(`//mycode{
+//list{
+//}
+after`, normalizeOptions({ blocks: { mycode: 'code' } }));
+      assert.deepEqual(chunks.map(chunk => chunk.type), ['Block', 'Paragraph']);
+      assert(chunks[0].children === undefined);
+    });
+
+    it('should not parse blocks in a code block as nested blocks', function () {
+      const chunks = parseAsChunks(`//emlist{
+//list[foo]{
+//}
+after`);
+      assert(chunks.length === 2);
+      assert.deepEqual(chunks.map(chunk => chunk.type),
+                       ['Block', 'Paragraph']);
+      assert(chunks[0].children === undefined);
+    });
+
+    it('should group chunks in a column as a Column chunk', function () {
+      const chunks = parseAsChunks(`==[column] Column
+
+Column text.
+==[/column]
+after`);
+      assert.deepEqual(chunks.map(chunk => chunk.type),
+                       ['Column', 'Paragraph']);
+      const column = chunks[0];
+      assert(column.raw === '==[column] Column\n\nColumn text.\n==[/column]\n');
+      assert.deepEqual(column.lines.map(line => line.lineNumber), [1, 2, 3, 4]);
+      assert.deepEqual(column.children.map(chunk => chunk.type),
+                       ['Heading', 'Paragraph']);
+    });
+
     it('should parse lines starting with * as a UnorderedList', function () {
       const chunks = parseAsChunks(`
  * 第1の項目
@@ -168,6 +270,25 @@ second line`);
       assert(list.type === 'UnorderedList');
     });
 
+    it('should attach chunks between //beginchild and //endchild to the preceding list', function () {
+      const chunks = parseAsChunks(` * 1st item
+
+//beginchild
+child paragraph
+//endchild
+
+ * 2nd item
+`);
+      assert(chunks.length === 1);
+      const list = chunks[0];
+      assert(list.type === 'UnorderedList');
+      assert(list.raw === ' * 1st item\n\n//beginchild\nchild paragraph\n//endchild\n\n * 2nd item\n');
+      assert.deepEqual(list.listLines.map(line => line.text), [' * 1st item', ' * 2nd item']);
+      const childChunks = list.listLines[0].childChunks;
+      assert.deepEqual(childChunks.map(chunk => chunk.type), ['Paragraph']);
+      assert(childChunks[0].raw === 'child paragraph\n');
+    });
+
     it('should parse lines starting with a number as a OrderedList', function () {
       const chunks = parseAsChunks(`
  1. 第1の条件
@@ -234,5 +355,45 @@ This is a paragraph immediately after a comment.
       assert.deepEqual(paragraph.lines.map(line => line.isComment),
                        [undefined, true, true, undefined]);
     });
+
+    it('should parse directives of review-preproc as Directive chunks', function () {
+      const chunks = parseAsChunks(`Paragraph
+#@mapfile(hello.js)
+//list[foo]{
+#@end
+#@require(foo.js)
+//list[bar]{
+#@maprange(hello.js,body)
+console.log("hello");
+#@end
+//}
+`);
+      assert.deepEqual(chunks.map(chunk => chunk.type),
+                       ['Paragraph', 'Directive', 'Comment', 'Block']);
+      assert.deepEqual(chunks.map(chunk => chunk.lines.length), [1, 3, 1, 5]);
+      assert(chunks[1].directive.name === 'mapfile');
+      assert.deepEqual(chunks[1].directive.args, ['hello.js']);
+    });
+
+    it('should not break paragraphs by single line directives', function () {
+      const chunks = parseAsChunks(`first line
+#@require(foo.js)
+#@provide(bar)
+second line`);
+      assert.deepEqual(chunks.map(chunk => chunk.type), ['Paragraph']);
+      assert.deepEqual(chunks[0].lines.map(line => line.isComment),
+                       [undefined, true, true, undefined]);
+    });
+
+    it('should report unclosed directive and #@end without directive', function () {
+      const options = normalizeOptions();
+      parseAsChunks(`#@end
+#@mapfile(hello.js)
+`, options);
+      assert.deepEqual(options.diagnostics.map(diagnostic => diagnostic.message), [
+        '#@end appears without corresponding directive',
+        '#@mapfile is not closed with #@end',
+      ]);
+    });
   });
 });
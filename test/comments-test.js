@@ -0,0 +1,33 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import { parse } from '../src/review-to-ast';
+import { normalizeOptions } from '../src/options';
+
+describe('comments', function () {
+  describe('#reportComments', function () {
+    const text = `#@warn(要確認)
+#@# TODO: rewrite
+#@# normal comment
+`;
+
+    it('should not report comments by default', function () {
+      const options = normalizeOptions();
+      parse(text, options);
+      assert.deepEqual(options.diagnostics, []);
+    });
+
+    it('should report #@warn and comments matching patterns', function () {
+      const options = normalizeOptions({
+        reportWarnComments: true,
+        reportCommentPatterns: ['^TODO'],
+        commentSeverity: 'info',
+      });
+      parse(text, options);
+      assert.deepEqual(options.diagnostics, [
+        { message: '要確認', index: 0, line: 1, column: 0, severity: 'info', isComment: true },
+        { message: 'TODO: rewrite', index: 12, line: 2, column: 0, severity: 'info', isComment: true },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import { parse } from '../src/review-to-ast';
+import { normalizeOptions } from '../src/options';
+import { escapeFixes, verifyFixes } from '../src/fixer';
+
+/**
+ * verify fixes replacing the target in the text.
+ * @param {string} text - Text of the document
+ * @param {string} target - Text to be replaced
+ * @param {string} replacement - Replacement of the target
+ * @return {TextlintMessage} Verified message
+ */
+function verify(text, target, replacement) {
+  const options = normalizeOptions({});
+  const ast = parse(text, options);
+  const index = text.indexOf(target);
+  const message = {
+    message: 'fixable',
+    fix: { range: [index, index + target.length], text: replacement },
+  };
+  return verifyFixes([message], text, ast, options)[0];
+}
+
+describe('fixer', function () {
+  describe('#verifyFixes', function () {
+    it('should keep fixes in paragraphs as they are', function () {
+      const message = verify('foo}bar', 'foo', 'a}b');
+      assert.deepEqual(message.fix.text, 'a}b');
+    });
+
+    it('should escape } in inline tags', function () {
+      const message = verify('@<b>{foo}', 'foo', 'a}b');
+      assert.deepEqual(message.fix, { range: [5, 8], text: 'a\\}b' });
+    });
+
+    it('should escape ] in captions of blocks', function () {
+      const message = verify(`//list[id][foo]{
+//}`, 'foo', 'a[0]');
+      assert.deepEqual(message.fix, { range: [11, 14], text: 'a[0\\]' });
+    });
+
+    it('should not escape characters already escaped in fixes', function () {
+      const message = verify('@<b>{foo a\\}b}', 'foo a\\}b', 'bar a\\}b]');
+      assert.deepEqual(message.fix, { range: [5, 13], text: 'bar a\\}b]' });
+    });
+
+    it('should remove fixes which change the structure', function () {
+      const message = verify('@<code>|foo|', 'foo', 'a|b');
+      assert(message.message === 'fixable');
+      assert(message.fix === undefined);
+    });
+
+    it('should remove fixes which cause syntax errors', function () {
+      const message = verify(`//list[id][caption]{
+foo
+//}`, '//}', '');
+      assert(message.fix === undefined);
+    });
+
+    it('should remove fixes which make lists at the beginning of lines', function () {
+      const message = verify(' a. foo', 'a', '1');
+      assert(message.fix === undefined);
+    });
+
+    it('should remove fixes which make empty lines splitting paragraphs', function () {
+      const message = verify('first\nfoo\nlast', 'foo', '');
+      assert(message.fix === undefined);
+    });
+
+    it('should remove fixes whose boundary is inside an escape sequence', function () {
+      // range of "foo" in the value, which is shifted by the backslash in the raw text
+      const message = verify('@<b>{x\\}foo}', '}fo', 'z');
+      assert(message.fix === undefined);
+    });
+
+    it('should keep messages without fix', function () {
+      const options = normalizeOptions({});
+      const messages = [{ message: 'not fixable' }];
+      assert.deepEqual(verifyFixes(messages, 'foo', parse('foo', options), options), messages);
+    });
+  });
+
+  describe('#escapeFixes', function () {
+    it('should escape fixes without verifying the structure', function () {
+      const text = '@<b>{foo} @<code>|foo|';
+      const ast = parse(text, normalizeOptions({}));
+      const messages = escapeFixes([
+        { message: 'in b', fix: { range: [5, 8], text: 'a}b' } },
+        { message: 'in code', fix: { range: [18, 21], text: 'a|b' } },
+      ], ast);
+      assert.deepEqual(messages.map(message => message.fix), [
+        { range: [5, 8], text: 'a\\}b' },
+        { range: [18, 21], text: 'a|b' },
+      ]);
+    });
+
+    it('should remove fixes whose boundary is inside an escape sequence', function () {
+      const text = '@<b>{x\\}foo}';
+      const messages = escapeFixes([{ message: 'split', fix: { range: [7, 10], text: 'z' } }],
+                                   parse(text, normalizeOptions({})));
+      assert(messages[0].fix === undefined);
+    });
+  });
+});
@@ -0,0 +1,5 @@
+function hello() {
+  // #@range_begin(body)
+  console.log("hello");
+  // #@range_end(body)
+}
@@ -2,6 +2,7 @@
 'use strict';
 import assert from 'power-assert';
 import { parseText } from '../src/inline-parsers';
+import { normalizeOptions } from '../src/options';
 
 describe('inline-parsers', function () {
   describe('#parseText', function () {
@@ -165,6 +166,139 @@ describe('inline-parsers', function () {
       assert(str.loc.start.column == 6);
     });
 
+    it('should parse fenced inline tags without unescaping', function () {
+      const nodes = parseText(`Let @<m>$\\frac{1}{2}$ and @<code>|a{b\\}|, @<b>|x\\}|.`, context);
+      assert.deepEqual(nodes.map(node => node.type),
+                       ['Str', 'NonString', 'Str', 'Code', 'Str', 'Strong', 'Str']);
+      const math = nodes[1];
+      assert(math.raw === '@<m>$\\frac{1}{2}$');
+      assert(math.range[0] === 4);
+      assert(math.range[1] === 4 + math.raw.length);
+      const code = nodes[3];
+      assert(code.raw === '@<code>|a{b\\}|');
+      assert(code.value === 'a{b\\}');
+      const str = nodes[5].children[0];
+      assert(str.raw === 'x\\}');
+      assert(str.value === 'x\\}');
+      assert(str.loc.start.column === nodes[5].loc.start.column + 5);
+    });
+
+    it('should parse nested inline tags', function () {
+      const nodes = parseText(`A@<b>{@<code>{x}を@<i>{使う}}`, context);
+      assert.deepEqual(nodes.map(node => node.type), ['Str', 'Strong']);
+      const bold = nodes[1];
+      assert(bold.raw === '@<b>{@<code>{x}を@<i>{使う}}');
+      assert.deepEqual(bold.children.map(node => node.type), ['Code', 'Str', 'Emphasis']);
+      assert.deepEqual(bold.children.map(node => node.range[0]), [6, 16, 17]);
+      const code = bold.children[0];
+      assert(code.value === 'x');
+      const str = bold.children[2].children[0];
+      assert(str.raw === '使う');
+      assert(str.loc.start.column === 22);
+    });
+
+    it('should parse nested inline tags in keyword', function () {
+      const nodes = parseText(`@<kw>{@<tt>{JSON}, JavaScript Object Notation}`, context);
+      const kw = nodes[0];
+      assert(kw.type === 'Strong');
+      assert(kw.alt === 'JavaScript Object Notation');
+      assert.deepEqual(kw.children.map(node => node.type), ['Inline']);
+      assert(kw.children[0].name === 'tt');
+      assert(kw.children[0].children[0].raw === 'JSON');
+      assert(kw.children[0].children[0].range[0] === 12);
+    });
+
+    it('should not parse nested inline tags in tags not allowing nesting', function () {
+      const nodes = parseText(`@<idx>{@<b>{x}}`, context);
+      assert.deepEqual(nodes[0].children.map(node => node.type), ['Str']);
+      assert(nodes[0].children[0].raw === '@<b>{x}');
+    });
+
+    it('should record target IDs of references', function () {
+      const nodes = parseText(`@<list>{sample}@<img>{ch02|figure}@<chap>{ch03}`, context);
+      assert.deepEqual(nodes.map(node => node.type), ['Reference', 'Reference', 'Reference']);
+      assert.deepEqual(nodes.map(node => node.chapterId), [null, 'ch02', 'ch03']);
+      assert.deepEqual(nodes.map(node => node.targetId), ['sample', 'figure', null]);
+    });
+
+    it('should expand words with the words file', function () {
+      const options = normalizeOptions({ words: new Map([['product', 'Re:VIEW']]) });
+      const nodes = parseText(`@<w>{product}を使う。@<wb>{unknown}`, context, options);
+      assert.deepEqual(nodes.map(node => node.type), ['Reference', 'Str', 'Reference']);
+      const word = nodes[0];
+      assert(word.key === 'product');
+      assert(word.children.length === 1);
+      assert(word.children[0].type === 'Str');
+      assert(word.children[0].value === 'Re:VIEW');
+      assert(word.children[0].raw === '@<w>{product}');
+      assert(nodes[2].children === undefined);
+      assert.deepEqual(options.diagnostics.map(diagnostic => diagnostic.message),
+                       ['Unknown word key "unknown"']);
+    });
+
+    it('should parse unknown inline tag as generic Inline', function () {
+      const nodes = parseText(`Type @<userinput>{ls}.`, context);
+      assert.deepEqual(nodes.map(node => node.type),
+                       ['Str', 'Inline', 'Str']);
+      const inline = nodes[1];
+      assert(inline.name === 'userinput');
+      assert(inline.raw === '@<userinput>{ls}');
+      assert(inline.children[0].type === 'Str');
+      assert(inline.children[0].raw === 'ls');
+    });
+
+    it('should parse unknown inline tag according to unknownInline option', function () {
+      const options = normalizeOptions({ unknownInline: 'non-string' });
+      const nodes = parseText(`Type @<userinput>{ls}.`, context, options);
+      assert.deepEqual(nodes.map(node => node.type),
+                       ['Str', 'NonString', 'Str']);
+      assert(nodes[1].name === 'userinput');
+    });
+
+    it('should parse inline tags of Re:VIEW 5', function () {
+      const nodes = parseText(
+        `@<sup>{2}@<sub>{i}@<del>{old}@<ins>{new}@<idx>{term}@<hidx>{term}@<kbd>{Ctrl}` +
+        `@<eq>{eq1}@<sec>{intro}@<bib>{knuth}@<w>{key}@<embed>{|html|<br>}@<balloon>{note}`,
+        context);
+      assert.deepEqual(nodes.map(node => node.type),
+                       ['Inline', 'Inline', 'Delete', 'Inline', 'Inline', 'NonString', 'Code',
+                        'Reference', 'Reference', 'Reference', 'Reference', 'NonString', 'Inline']);
+      assert.deepEqual(nodes.map(node => node.name),
+                       ['sup', 'sub', 'del', 'ins', 'idx', 'hidx', 'kbd',
+                        'eq', 'sec', 'bib', 'w', 'embed', 'balloon']);
+      assert(nodes[2].children[0].value === 'old');
+      assert(nodes[6].value === 'Ctrl');
+    });
+
+    it('should parse custom inline tags according to options', function () {
+      const options = normalizeOptions({
+        inlines: {
+          userinput: 'code',
+          term: 'prose',
+          bibref: 'reference',
+          latex: 'non-string',
+        },
+      });
+      const nodes = parseText(`@<userinput>{ls}@<term>{Term}@<bibref>{knuth}@<latex>{\\TeX}`,
+                              context, options);
+      assert.deepEqual(nodes.map(node => node.type),
+                       ['Code', 'Inline', 'Reference', 'NonString']);
+      assert.deepEqual(nodes.map(node => node.name),
+                       ['userinput', 'term', 'bibref', 'latex']);
+      assert(nodes[0].value === 'ls');
+      const str = nodes[1].children[0];
+      assert(str.type === 'Str');
+      assert(str.raw === 'Term');
+      assert(str.loc.start.column === 24);
+    });
+
+    it('should override builtin inline tag according to options', function () {
+      const options = normalizeOptions({ inlines: { tt: 'code' } });
+      const nodes = parseText(`@<tt>{x}`, context, options);
+      assert(nodes[0].type === 'Code');
+      assert(nodes[0].value === 'x');
+    });
+
     it('should parse kw tag with alt attribute', function () {
       const nodes = parseText(`@<kw>{SMTP, Simple Mail Transfer Protocol} is a protocol for email.`, context);
       assert(nodes.length === 2);
@@ -0,0 +1,56 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import { normalizeOptions } from '../src/options';
+
+describe('options', function () {
+  describe('#normalizeOptions', function () {
+    it('should return default options when options are not specified', function () {
+      const options = normalizeOptions(true);
+      assert(options.unknownBlock === 'prose');
+      assert(options.unknownInline === 'prose');
+      assert.deepEqual(options.blocks, {});
+      assert.deepEqual(options.inlines, {});
+    });
+
+    it('should normalize strategy names to objects', function () {
+      const options = normalizeOptions({
+        blocks: {
+          prompt: 'code',
+          box: { strategy: 'prose', caption: 0 },
+        },
+        inlines: {
+          userinput: 'code',
+        },
+      });
+      assert.deepEqual(options.blocks, {
+        prompt: { strategy: 'code' },
+        box: { strategy: 'prose', caption: 0 },
+      });
+      assert.deepEqual(options.inlines, {
+        userinput: { strategy: 'code' },
+      });
+    });
+
+    it('should throw error for unknown strategy', function () {
+      assert.throws(() => normalizeOptions({ blocks: { prompt: 'unknown' } }),
+                    /Unknown strategy "unknown" for block "prompt"/);
+      assert.throws(() => normalizeOptions({ inlines: { userinput: 'ignore' } }),
+                    /Unknown strategy "ignore" for inline tag "userinput"/);
+      assert.throws(() => normalizeOptions({ unknownBlock: 'foo' }),
+                    /Unknown strategy "foo" for unknownBlock/);
+      assert.throws(() => normalizeOptions({ unknownInline: 'ignore' }),
+                    /Unknown strategy "ignore" for unknownInline/);
+    });
+
+    it('should throw error for unknown severity', function () {
+      assert.throws(() => normalizeOptions({ commentSeverity: 'fatal' }),
+                    /Unknown severity "fatal" for commentSeverity/);
+    });
+
+    it('should throw error for invalid caption index', function () {
+      assert.throws(() => normalizeOptions({ blocks: { box: { strategy: 'prose', caption: -1 } } }),
+                    /Invalid caption index "-1" for block "box"/);
+    });
+  });
+});
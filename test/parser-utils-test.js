@@ -47,6 +47,7 @@ describe('parser-utils', function () {
       const tag = findInlineTag(`AAA@<b>{BBB}CCC`);
       assert.deepEqual(tag, {
         name: 'b',
+        fenced: false,
         content: {
           raw: 'BBB',
           index: 5,
@@ -61,6 +62,7 @@ describe('parser-utils', function () {
       const tag = findInlineTag(`AAA@<b>{BB\\}B}CCC`);
       assert.deepEqual(tag, {
         name: 'b',
+        fenced: false,
         content: {
           raw: 'BB\\}B',
           index: 5,
@@ -75,6 +77,7 @@ describe('parser-utils', function () {
       const tag = findInlineTag(`AAA@<b>{BBB}CCC@<code>{x = 1}DDD`);
       assert.deepEqual(tag, {
         name: 'b',
+        fenced: false,
         content: {
           raw: 'BBB',
           index: 5,
@@ -94,5 +97,42 @@ describe('parser-utils', function () {
       const tag = findInlineTag(`AAA@<b>{BBCCC`);
       assert(tag === null);
     });
+
+    it('should find inline tag containing nested inline tags', function () {
+      const tag = findInlineTag(`AAA@<b>{@<i>{B\\}}B}CCC`);
+      assert(tag.content.raw === '@<i>{B\\}}B');
+      assert(tag.fullText === '@<b>{@<i>{B\\}}B}');
+      assert(tag.followingText === 'CCC');
+    });
+
+    it('should find inline tag fenced by $', function () {
+      const tag = findInlineTag(`AAA@<m>$\\frac{1}{2}$CCC`);
+      assert.deepEqual(tag, {
+        name: 'm',
+        fenced: true,
+        content: {
+          raw: '\\frac{1}{2}',
+          index: 5,
+        },
+        fullText: '@<m>$\\frac{1}{2}$',
+        precedingText: 'AAA',
+        followingText: 'CCC',
+      });
+    });
+
+    it('should find inline tag fenced by | without escape', function () {
+      const tag = findInlineTag(`@<code>|a{b\\}|}C`);
+      assert.deepEqual(tag, {
+        name: 'code',
+        fenced: true,
+        content: {
+          raw: 'a{b\\}',
+          index: 8,
+        },
+        fullText: '@<code>|a{b\\}|',
+        precedingText: '',
+        followingText: '}C',
+      });
+    });
   });
 });
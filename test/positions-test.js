@@ -0,0 +1,35 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import { parse } from '../src/review-to-ast';
+import { rawIndexOf, rawRangeOf } from '../src/index';
+
+describe('positions', function () {
+  describe('#rawIndexOf', function () {
+    it('should return the same index when nothing is escaped', function () {
+      const node = { raw: 'abc', value: 'abc', range: [10, 13] };
+      assert.deepEqual([0, 1, 2, 3].map(index => rawIndexOf(node, index)), [0, 1, 2, 3]);
+    });
+
+    it('should skip backslashes of escaped characters', function () {
+      const ast = parse(`@<b>{a\\}b\\}c}`);
+      const str = ast.children[0].children[0].children[0];
+      assert(str.raw === 'a\\}b\\}c');
+      assert(str.value === 'a}b}c');
+      assert.deepEqual([0, 1, 2, 3, 4, 5].map(index => rawIndexOf(str, index)),
+                       [0, 1, 3, 4, 6, 7]);
+    });
+  });
+
+  describe('#rawRangeOf', function () {
+    it('should convert range in value of caption to range in the document', function () {
+      const ast = parse(`//list[foo][Array[0\\]]{
+//}`);
+      const caption = ast.children[0].children[0];
+      const str = caption.children[0];
+      assert(str.value === 'Array[0]');
+      const range = rawRangeOf(str, [str.value.indexOf(']'), str.value.length]);
+      assert(ast.raw.slice(range[0], range[1]) === '\\]');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import fs from 'fs';
+import path from 'path';
+import { parse } from '../src/review-to-ast';
+
+describe('preprocessor', function () {
+  const fixturePath = path.join(__dirname, 'fixtures/preproc/mapped.re');
+  const text = fs.readFileSync(fixturePath, 'utf-8');
+
+  describe('#parseDirectives', function () {
+    it('should parse directives as Directive nodes having generated code', function () {
+      const ast = parse(text);
+      const directives = ast.children.filter(node => node.type === 'Directive');
+      assert.deepEqual(directives.map(node => node.name), ['mapfile', 'require']);
+      assert.deepEqual(directives.map(node => node.args), [['hello.js'], ['missing.js']]);
+      const code = directives[0].children[0];
+      assert(code.type === 'CodeBlock');
+      assert(code.generated === true);
+      assert(code.value.startsWith('function hello() {\n'));
+      assert(code.loc.start.line === 4);
+      assert(code.loc.end.line === 8);
+      assert.deepEqual(directives[1].children, []);
+    });
+
+    it('should parse single line directives in paragraphs as Directive nodes', function () {
+      const ast = parse(`first line
+#@require(foo.js, bar.js)
+second line`);
+      assert.deepEqual(ast.children.map(node => node.type), ['Paragraph']);
+      const directive = ast.children[0].children[1];
+      assert(directive.type === 'Directive');
+      assert(directive.name === 'require');
+      assert.deepEqual(directive.args, ['foo.js', 'bar.js']);
+      assert(directive.raw === '#@require(foo.js, bar.js)');
+    });
+  });
+
+  describe('#validateMappedFiles', function () {
+    it('should report content out of sync with the file', function () {
+      const diagnostics = [];
+      parse(text, { diagnostics, validateMappedFiles: true, filePath: fixturePath });
+      assert.deepEqual(diagnostics, [
+        {
+          message: 'Content of #@maprange is out of sync with "hello.js"',
+          index: 150,
+          line: 12,
+          column: 0,
+        },
+      ]);
+    });
+
+    it('should not validate mapped files by default', function () {
+      const diagnostics = [];
+      parse(text, { diagnostics, filePath: fixturePath });
+      assert.deepEqual(diagnostics, []);
+    });
+
+    it('should report missing file and range', function () {
+      const diagnostics = [];
+      parse(`#@mapfile(missing.js)
+#@end
+
+#@maprange(hello.js,missing)
+#@end
+`, { diagnostics, validateMappedFiles: true, filePath: fixturePath });
+      assert.deepEqual(diagnostics.map(diagnostic => diagnostic.message), [
+        'File "missing.js" of #@mapfile is not found',
+        'Range "missing" is not found in "hello.js"',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  findProjectRoot, loadProject, catalogChaptersOf, loadWords, parseWordsFile
+} from '../src/project';
+import { normalizeOptions } from '../src/options';
+
+describe('project', function () {
+  const projectRoot = path.join(__dirname, 'fixtures/project');
+  const chapterPath = path.join(projectRoot, 'contents/ch01.re');
+
+  describe('#findProjectRoot', function () {
+    it('should find the directory having catalog.yml', function () {
+      assert(findProjectRoot(chapterPath, normalizeOptions()) === projectRoot);
+    });
+
+    it('should use projectRoot option', function () {
+      const options = normalizeOptions({ projectRoot: 'foo' });
+      assert(findProjectRoot(chapterPath, options) === path.resolve('foo'));
+    });
+
+    it('should return null when the file is not in a project', function () {
+      const filePath = path.join(__dirname, 'fixtures/test.re');
+      assert(findProjectRoot(filePath, normalizeOptions()) === null);
+    });
+  });
+
+  describe('#catalogChaptersOf', function () {
+    it('should list chapters including parts with their numbers', function () {
+      const catalog = {
+        PREDEF: ['preface.re'],
+        CHAPS: [{ 'part1.re': ['ch01.re', 'ch02.re'] }, { 'Part 2': ['ch03.re'] }],
+        APPENDIX: ['appendix.re'],
+        POSTDEF: ['afterword.re'],
+      };
+      const chapters = catalogChaptersOf(catalog);
+      assert.deepEqual(chapters.map(chapter => chapter.fileName),
+                       ['preface.re', 'part1.re', 'ch01.re', 'ch02.re', 'ch03.re', 'appendix.re',
+                        'afterword.re']);
+      assert.deepEqual(chapters.map(chapter => chapter.number),
+                       [null, null, '1', '2', '3', 'A', null]);
+    });
+  });
+
+  describe('#loadProject', function () {
+    it('should build registry of chapters in contentdir', function () {
+      const project = loadProject(chapterPath, normalizeOptions());
+      assert(project.root === projectRoot);
+      assert(project.chapterId === 'ch01');
+      assert.deepEqual(Array.from(project.chapters.keys()), ['preface', 'ch01', 'ch02']);
+      const chapter = project.chapters.get('ch02');
+      assert(chapter.path === path.join(projectRoot, 'contents/ch02.re'));
+      assert.deepEqual(Array.from(chapter.scope.definitions.list.keys()), ['sample']);
+      assert.deepEqual(Array.from(chapter.scope.definitions.heading.keys()), ['install']);
+    });
+
+    it('should cache chapters until they are modified', function () {
+      const first = loadProject(chapterPath, normalizeOptions());
+      const second = loadProject(chapterPath, normalizeOptions());
+      assert(first.chapters.get('ch02').scope === second.chapters.get('ch02').scope);
+
+      const ch02Path = path.join(projectRoot, 'contents/ch02.re');
+      const stats = fs.statSync(ch02Path);
+      fs.utimesSync(ch02Path, stats.atime, new Date(stats.mtime.getTime() + 1000));
+      try {
+        const third = loadProject(chapterPath, normalizeOptions());
+        assert(first.chapters.get('ch02').scope !== third.chapters.get('ch02').scope);
+      } finally {
+        fs.utimesSync(ch02Path, stats.atime, stats.mtime);
+      }
+    });
+
+    it('should cache chapters for each set of options affecting them', function () {
+      const options = normalizeOptions({ blocks: { box: 'code' } });
+      const first = loadProject(chapterPath, normalizeOptions());
+      const second = loadProject(chapterPath, options);
+      const third = loadProject(chapterPath, normalizeOptions({ blocks: { box: 'code' } }));
+      assert(first.chapters.get('ch02').scope !== second.chapters.get('ch02').scope);
+      assert(second.chapters.get('ch02').scope === third.chapters.get('ch02').scope);
+    });
+
+    it('should not load chapters when references are neither validated nor resolved', function () {
+      const project = loadProject(chapterPath, normalizeOptions({ validateReferences: false }));
+      assert(project.root === projectRoot);
+      assert(project.chapters.size === 0);
+    });
+
+    it('should report chapters failed to load and load the others', function () {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'review-project-'));
+      fs.writeFileSync(path.join(root, 'catalog.yml'), 'CHAPS:\n  - empty.re\n  - broken.re\n');
+      fs.writeFileSync(path.join(root, 'empty.re'), '');
+      fs.mkdirSync(path.join(root, 'broken.re')); // reading a directory fails
+      try {
+        const options = normalizeOptions();
+        const project = loadProject(path.join(root, 'empty.re'), options);
+        assert(project.chapters.get('empty').scope !== null);
+        assert(project.chapters.get('broken').scope === null);
+        assert(options.diagnostics.length === 1);
+        assert(options.diagnostics[0].message.startsWith('Failed to load the chapter "broken.re"'));
+      } finally {
+        fs.rmdirSync(path.join(root, 'broken.re'));
+        fs.unlinkSync(path.join(root, 'empty.re'));
+        fs.unlinkSync(path.join(root, 'catalog.yml'));
+        fs.rmdirSync(root);
+      }
+    });
+
+    it('should return null when the file is not in a project', function () {
+      const filePath = path.join(__dirname, 'fixtures/test.re');
+      assert(loadProject(filePath, normalizeOptions()) === null);
+    });
+  });
+
+  describe('#parseWordsFile', function () {
+    it('should parse CSV with quoted fields', function () {
+      const rows = parseWordsFile('a,A\n"b","B, ""quoted"""\r\n\nc,C', 'words.csv');
+      assert.deepEqual(rows, [['a', 'A'], ['b', 'B, "quoted"'], ['c', 'C']]);
+    });
+
+    it('should parse TSV', function () {
+      const rows = parseWordsFile('a\tA, a\nb\tB\n', 'words.tsv');
+      assert.deepEqual(rows, [['a', 'A, a'], ['b', 'B']]);
+    });
+  });
+
+  describe('#loadWords', function () {
+    it('should load words_file in config.yml', function () {
+      const options = normalizeOptions();
+      const words = loadWords(options, loadProject(chapterPath, options));
+      assert.deepEqual(Array.from(words.entries()),
+                       [['product', 'Re:VIEW Starter'], ['company', 'Example, Inc.']]);
+    });
+
+    it('should prefer wordsFile option', function () {
+      const options = normalizeOptions({ wordsFile: path.join(__dirname, 'fixtures/missing.csv') });
+      const words = loadWords(options, loadProject(chapterPath, options));
+      assert(words.size === 0);
+      assert.deepEqual(options.diagnostics.map(diagnostic => diagnostic.message), [
+        `Words file "${path.join(__dirname, 'fixtures/missing.csv')}" is not found`,
+      ]);
+    });
+
+    it('should resolve wordsFile option from the project root', function () {
+      const options = normalizeOptions({ wordsFile: 'missing.csv' });
+      loadWords(options, loadProject(chapterPath, options));
+      assert.deepEqual(options.diagnostics.map(diagnostic => diagnostic.message), [
+        `Words file "${path.join(projectRoot, 'missing.csv')}" is not found`,
+      ]);
+    });
+
+    it('should return null when words file is not specified', function () {
+      assert(loadWords(normalizeOptions(), null) === null);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// LICENSE : MIT
+'use strict';
+import assert from 'power-assert';
+import path from 'path';
+import { parse } from '../src/review-to-ast';
+import { collectDefinitions } from '../src/references';
+import { loadProject } from '../src/project';
+import { normalizeOptions } from '../src/options';
+
+describe('references', function () {
+  function parseWithDiagnostics(text, options) {
+    const diagnostics = [];
+    const ast = parse(text, Object.assign({ diagnostics }, options));
+    return { ast, diagnostics };
+  }
+
+  describe('#collectDefinitions', function () {
+    it('should collect IDs defined by blocks and headings', function () {
+      const diagnostics = [];
+      const ast = parse(`={intro} Introduction
+
+==[column]{tips} Tips
+
+//list[sample][Sample]{
+//}
+
+//image[figure][Figure]{
+//}
+
+//table[tbl][Table]{
+//}
+
+//footnote[note][Note]
+
+//texequation[euler][Euler]{
+//}
+`, { diagnostics, validateReferences: false });
+      const definitions = collectDefinitions(ast);
+      assert.deepEqual(Array.from(definitions.heading.keys()), ['intro']);
+      assert.deepEqual(Array.from(definitions.column.keys()), ['tips']);
+      assert.deepEqual(Array.from(definitions.list.keys()), ['sample']);
+      assert.deepEqual(Array.from(definitions.image.keys()), ['figure']);
+      assert.deepEqual(Array.from(definitions.table.keys()), ['tbl']);
+      assert.deepEqual(Array.from(definitions.footnote.keys()), ['note']);
+      assert.deepEqual(Array.from(definitions.equation.keys()), ['euler']);
+      assert.deepEqual(diagnostics, []);
+    });
+  });
+
+  describe('#validateReferences', function () {
+    it('should not report resolved references', function () {
+      const { diagnostics } = parseWithDiagnostics(`={intro} Introduction
+
+See @<list>{sample}, @<img>{figure}, @<fn>{note}, @<hd>{intro} and @<hd>{Usage|Options}.
+
+== Usage
+
+=== Options
+
+//list[sample][Sample]{
+//}
+
+//image[figure][Figure]{
+//}
+
+//footnote[note][Note]
+`);
+      assert.deepEqual(diagnostics, []);
+    });
+
+    it('should report unresolved references', function () {
+      const { diagnostics } = parseWithDiagnostics(`See @<list>{sample} and @<table>{figure}.
+
+//image[figure][Figure]{
+//}
+`);
+      assert.deepEqual(diagnostics, [
+        { message: 'Undefined list ID "sample"', index: 4, line: 1, column: 4 },
+        { message: 'Undefined table ID "figure"', index: 24, line: 1, column: 24 },
+      ]);
+    });
+
+    it('should not report references to other chapters', function () {
+      const { diagnostics } = parseWithDiagnostics(
+        `See @<chap>{ch02}, @<list>{ch02|sample} and @<hd>{ch02|intro}.`);
+      assert.deepEqual(diagnostics, []);
+    });
+
+    it('should report duplicated IDs', function () {
+      const { diagnostics } = parseWithDiagnostics(`//list[sample][Sample]{
+//}
+
+//list[sample][Sample again]{
+//}
+`);
+      assert.deepEqual(diagnostics, [
+        { message: 'Duplicated list ID "sample"', index: 29, line: 4, column: 0 },
+      ]);
+    });
+
+    it('should not validate references when validateReferences is false', function () {
+      const { diagnostics } = parseWithDiagnostics(`See @<list>{sample}.`,
+                                                   { validateReferences: false });
+      assert.deepEqual(diagnostics, []);
+    });
+  });
+
+  describe('#resolveReferences', function () {
+    function referencesOf(ast) {
+      return ast.children[1].children.filter(node => node.type === 'Reference');
+    }
+
+    it('should add Str node having rendered text to Reference nodes', function () {
+      const ast = parse(`= Chapter
+
+@<list>{second}を参照してください。@<img>{figure}と@<fn>{note}と@<hd>{usage}と@<list>{unknown}。
+
+//list[first][First]{
+//}
+
+//list[second][Second]{
+//}
+
+//image[figure][Figure]{
+//}
+
+//footnote[note][Note]
+
+=={usage} Usage
+`, { resolveReferences: true, validateReferences: false });
+      const references = referencesOf(ast);
+      assert.deepEqual(references.map(node => node.children && node.children[0].value),
+                       ['リスト2', '図1', '*1', '「Usage」', undefined]);
+      const str = references[0].children[0];
+      assert(str.type === 'Str');
+      assert(str.raw === '@<list>{second}');
+      assert.deepEqual(str.range, references[0].range);
+      assert.deepEqual(str.loc, references[0].loc);
+    });
+
+    it('should not add Str node by default', function () {
+      const ast = parse(`= Chapter
+
+@<list>{first}
+
+//list[first][First]{
+//}
+`);
+      assert(referencesOf(ast)[0].children === undefined);
+    });
+
+    it('should render references with chapter numbers in the project', function () {
+      const filePath = path.join(__dirname, 'fixtures/project/contents/ch01.re');
+      const project = loadProject(filePath, normalizeOptions());
+      const ast = parse(`={intro} Introduction
+
+@<list>{hello}, @<list>{ch02|sample}, @<img>{ch02|diagram}, @<hd>{ch02|install}, @<chap>{ch02}, @<title>{ch02}, @<chapref>{ch02}, @<chap>{preface}
+
+//list[hello][Hello]{
+//}
+`, { resolveReferences: true, validateReferences: false, project: project });
+      assert.deepEqual(referencesOf(ast).map(node => node.children[0].value), [
+        'リスト1.1', 'リスト2.1', '図2.1', '「2.1 Installation」', '第2章', 'Usage',
+        '第2章「Usage」', 'Preface',
+      ]);
+    });
+  });
+});
@@ -12,6 +12,13 @@ aaaa`);
       assert(result.type === 'Document');
     });
 
+    it('should parse empty text as an empty Document', function () {
+      const result = parse('');
+      assert(result.type === 'Document');
+      assert(result.children.length === 0);
+      assert.deepEqual(result.loc, { start: { line: 1, column: 0 }, end: { line: 1, column: 0 } });
+    });
+
     it('should parse text as a Paragraph', function () {
       const result = parse(`test`);
       const paragraph = result.children[0];
@@ -117,6 +124,99 @@ continuation line`);
       assert(heading2.children[0].raw === 'Headings');
     });
 
+    it('should parse inline tags in a heading', function () {
+      const result = parse(`== @<code>{fetch()} の使い方@<fn>{fetch}`);
+      const heading = result.children[0];
+      assert(heading.type === 'Header');
+      assert.deepEqual(heading.children.map(node => node.type),
+                       ['Code', 'Str', 'Reference']);
+      assert.deepEqual(heading.children.map(node => node.raw),
+                       ['@<code>{fetch()}', ' の使い方', '@<fn>{fetch}']);
+      assert(heading.children[0].value === 'fetch()');
+      assert(heading.children[0].loc.start.column === 3);
+    });
+
+    it('should parse heading label after options and ID', function () {
+      const result = parse(`==[notoc]{intro} Introduction
+===[nonum] Sub section `);
+      const intro = result.children[0];
+      assert(intro.children.length === 1);
+      assert(intro.children[0].raw === 'Introduction');
+      assert(intro.children[0].loc.start.column === 17);
+      const sub = result.children[1];
+      assert(sub.depth === 3);
+      assert(sub.children[0].raw === 'Sub section');
+      assert(sub.children[0].loc.start.column === 11);
+    });
+
+    it('should parse ID and options of headings', function () {
+      const result = parse(`={ch01} Chapter
+
+==[nonum] Section
+
+===[nodisp]{sub} Sub section`);
+      assert.deepEqual(result.children.map(node => node.id), ['ch01', null, 'sub']);
+      assert.deepEqual(result.children.map(node => node.options), [[], ['nonum'], ['nodisp']]);
+    });
+
+    it('should parse column as a Column node having enclosed nodes', function () {
+      const result = parse(`== Section
+
+===[column]{col} Column title
+
+Column text.
+
+ * item
+
+===[/column]
+
+After the column.`);
+      assert.deepEqual(result.children.map(node => node.type),
+                       ['Header', 'Column', 'Paragraph']);
+      const column = result.children[1];
+      assert(column.raw === `===[column]{col} Column title
+
+Column text.
+
+ * item
+
+===[/column]`);
+      assert(column.loc.start.line === 3);
+      assert(column.loc.end.line === 9);
+      assert.deepEqual(column.children.map(node => node.type),
+                       ['Header', 'Paragraph', 'List']);
+      const heading = column.children[0];
+      assert(heading.id === 'col');
+      assert.deepEqual(heading.options, ['column']);
+      assert(heading.children[0].raw === 'Column title');
+    });
+
+    it('should close column by a heading of the same level', function () {
+      const result = parse(`==[column] Column title
+
+Column text.
+
+== Next section
+`);
+      assert.deepEqual(result.children.map(node => node.type), ['Column', 'Header']);
+      const column = result.children[0];
+      assert(column.raw === `==[column] Column title
+
+Column text.`);
+      assert.deepEqual(column.children.map(node => node.type), ['Header', 'Paragraph']);
+    });
+
+    it('should report nested column and close the outer column', function () {
+      const diagnostics = [];
+      const result = parse('==[column] a\n===[column] b\nfoo\n', { diagnostics });
+      assert.deepEqual(diagnostics, [
+        { message: 'Column cannot be nested in another column', index: 13, line: 2, column: 0 },
+      ]);
+      assert.deepEqual(result.children.map(node => node.type), ['Column', 'Column']);
+      assert(result.children[0].raw === '==[column] a');
+      assert(result.children[1].raw === '===[column] b\nfoo');
+    });
+
     it('should parse @<code>{} as a Code', function () {
       const result = parse(`@<code>{var a = 1}`);
       const paragraph = result.children[0];
@@ -222,7 +322,7 @@ second line`);
       assert(result.children[2].raw === 'second line');
     });
 
-    it('should parse table cell as ListItem', function () {
+    it('should parse table rows having cells as ListItem', function () {
       const result = parse(`
 //table[id][Environment Variables]{
 Name		Comment
@@ -233,7 +333,7 @@ TERM		Terminal. ex: linux, kterm, vt100
       assert(result.children.length === 1);
       const table = result.children[0];
       assert(table.type === 'Table');
-      assert(table.children.length === 7);
+      assert(table.children.length === 4);
       const caption = table.children[0];
       assert(caption.type === 'Caption');
       assert(caption.children.length === 1);
@@ -241,7 +341,12 @@ TERM		Terminal. ex: linux, kterm, vt100
       assert(captionStr.type === 'Str');
       assert(captionStr.raw === 'Environment Variables');
 
-      const tableCells = table.children.slice(1);
+      const tableRows = table.children.slice(1);
+      assert.deepEqual(tableRows.map(node => node.type), ['TableRow', 'TableRow', 'TableRow']);
+      assert.deepEqual(tableRows.map(node => node.isHeader), [true, false, false]);
+      assert(tableRows[1].raw === 'PATH\t\tDirectories where commands exist');
+
+      const tableCells = [].concat.apply([], tableRows.map(row => row.children));
       tableCells.forEach(function (node) {
         assert(node.type === 'ListItem');
         assert(node.children.length === 1);
@@ -253,6 +358,21 @@ TERM		Terminal. ex: linux, kterm, vt100
         'PATH', 'Directories where commands exist',
         'TERM', 'Terminal. ex: linux, kterm, vt100',
       ]);
+      assert.deepEqual(tableCells.map(node => node.isHeader),
+                       [true, true, false, false, false, false]);
+      assert.deepEqual(tableCells.map(node => node.columnIndex), [0, 1, 0, 1, 0, 1]);
+    });
+
+    it('should parse first cells as header cells in a table without separator', function () {
+      const result = parse(`
+//table{
+Name	Value
+PATH	/usr/bin
+//}`);
+      const table = result.children[0];
+      assert.deepEqual(table.children.map(row => row.isHeader), [false, false]);
+      assert.deepEqual(table.children.map(row => row.children.map(cell => cell.isHeader)),
+                       [[true, false], [true, false]]);
     });
 
     it('should parse inline markups in a table cell', function () {
@@ -263,7 +383,7 @@ Name	Value
 @<code>{x}	1
 //}`);
       const table = result.children[0];
-      assert(table.children[2].children[0].type === 'Code');
+      assert(table.children[1].children[0].children[0].type === 'Code');
     });
 
     it('should ignore starting . in a table cell', function () {
@@ -272,8 +392,10 @@ Name	Value
 .	..gitignore
 //}`);
       const table = result.children[0];
-      assert.deepEqual(table.children.map(node => node.children[0].raw),
+      const row = table.children[0];
+      assert.deepEqual(row.children.map(node => node.children[0].raw),
                        ['.gitignore']);
+      assert.deepEqual(row.children.map(node => node.columnIndex), [1]);
     });
 
     it('should not ignore comments in a table', function () {
@@ -287,7 +409,7 @@ Foo
       const table = result.children[0];
       assert(table.children.length === 3);
       assert.deepEqual(table.children.map(node => node.type),
-                       ['ListItem', 'Comment', 'ListItem']);
+                       ['TableRow', 'Comment', 'TableRow']);
     });
 
     it('should parse footnote', function () {
@@ -349,15 +471,101 @@ Foo
       assert(result.children.length === 1);
       const list = result.children[0];
       assert(list.type === 'List');
-      assert(list.children.length === 5);
+      assert(list.depth === 1);
+      assert(list.children.length === 3);
 
       const item = list.children[0];
       assert(item.type === 'ListItem');
-      assert(item.raw === ' * 第1の項目');
-      assert(item.children.length === 1);
+      assert(item.depth === 1);
+      assert(item.raw === ` * 第1の項目
+ ** 第1の項目のネスト`);
+      assert(item.children.length === 2);
       const str = item.children[0];
       assert(str.type === 'Str');
       assert(str.raw === '第1の項目');
+
+      const nestedList = item.children[1];
+      assert(nestedList.type === 'List');
+      assert(nestedList.depth === 2);
+      assert(nestedList.raw === ' ** 第1の項目のネスト');
+      assert(nestedList.children.length === 1);
+      const nestedItem = nestedList.children[0];
+      assert(nestedItem.type === 'ListItem');
+      assert(nestedItem.depth === 2);
+      assert(nestedItem.children[0].raw === '第1の項目のネスト');
+
+      const lastItem = list.children[2];
+      assert(lastItem.raw === ' * 第3の項目');
+      assert(lastItem.children.length === 1);
+    });
+
+    it('should parse deeply nested list items', function () {
+      const result = parse(`
+ * 1
+ ** 1-1
+ *** 1-1-1
+#@# comment after 1-1-1
+ ** 1-2
+ * 2
+`);
+      const list = result.children[0];
+      assert.deepEqual(list.children.map(node => node.raw.split('\n').length), [5, 1]);
+      const nestedList = list.children[0].children[1];
+      assert.deepEqual(nestedList.children.map(node => node.type),
+                       ['ListItem', 'ListItem']);
+      const deepList = nestedList.children[0].children[1];
+      assert(deepList.depth === 3);
+      assert.deepEqual(deepList.children.map(node => node.type),
+                       ['ListItem', 'Comment']);
+      assert(deepList.children[0].children[0].raw === '1-1-1');
+    });
+
+    it('should parse content between //beginchild and //endchild as children of an item', function () {
+      const result = parse(`
+ * 1st item
+
+//beginchild
+Paragraph in the 1st item.
+
+//emlist{
+code in the 1st item
+//}
+//endchild
+
+ * 2nd item
+
+after the list
+`);
+      assert.deepEqual(result.children.map(node => node.type), ['List', 'Paragraph']);
+      const list = result.children[0];
+      assert(list.loc.start.line === 2);
+      assert(list.loc.end.line === 12);
+      assert(list.children.length === 2);
+      const firstItem = list.children[0];
+      assert.deepEqual(firstItem.children.map(node => node.type),
+                       ['Str', 'Paragraph', 'CodeBlock']);
+      assert(firstItem.loc.end.line === 9);
+      assert(firstItem.children[2].value === 'code in the 1st item\n');
+      assert(list.children[1].raw === ' * 2nd item');
+    });
+
+    it('should parse nested //beginchild', function () {
+      const result = parse(`
+ * outer
+//beginchild
+ * inner
+//beginchild
+inner child
+//endchild
+//endchild
+`);
+      assert(result.children.length === 1);
+      const outerItem = result.children[0].children[0];
+      const innerList = outerItem.children[1];
+      assert(innerList.type === 'List');
+      const innerItem = innerList.children[0];
+      assert.deepEqual(innerItem.children.map(node => node.type), ['Str', 'Paragraph']);
+      assert(innerItem.children[1].raw === 'inner child');
     });
 
     it('should parse comments in a list properly', function () {
@@ -375,6 +583,20 @@ Foo
                        ['ListItem', 'ListItem', 'Comment', 'ListItem']);
     });
 
+    it('should add comments before a sub list to the sub list', function () {
+      const result = parse(` * a
+#@# c
+ ** b
+#@# d
+ * e
+`);
+      const list = result.children[0];
+      assert.deepEqual(list.children.map(node => node.type), ['ListItem', 'ListItem']);
+      const subList = list.children[0].children[1];
+      assert.deepEqual(subList.children.map(node => node.raw), ['#@# c', ' ** b', '#@# d']);
+      assert(list.children[0].raw === ' * a\n#@# c\n ** b\n#@# d');
+    });
+
     it('should parse lines starting with a number as a List', function () {
       const result = parse(`
  1. 第1の条件
@@ -410,24 +632,50 @@ Foo
       assert(result.children.length === 1);
       const list = result.children[0];
       assert(list.type === 'List');
-      assert(list.children.length === 9);  // should be 6
+      assert(list.children.length === 6);
+      assert.deepEqual(list.children.map(node => node.type), [
+        'DefinitionTerm', 'DefinitionDescription',
+        'DefinitionTerm', 'DefinitionDescription',
+        'DefinitionTerm', 'DefinitionDescription',
+      ]);
 
-      const firstItem = list.children[0];
-      assert(firstItem.type === 'ListItem');
-      assert(firstItem.raw === ' : Alpha');
-      assert(firstItem.children.length === 1);
-      const firstStr = firstItem.children[0];
-      assert(firstStr.type === 'Str');
-      assert(firstStr.raw === 'Alpha');
+      const term = list.children[0];
+      assert(term.raw === ' : Alpha');
+      assert(term.children.length === 1);
+      const termStr = term.children[0];
+      assert(termStr.type === 'Str');
+      assert(termStr.raw === 'Alpha');
+      assert(termStr.loc.start.column === 3);
 
       // <dd> should be concatenated with the next line
-      const secondItem = list.children[1];
-      assert(secondItem.type === 'ListItem');
-      assert(secondItem.raw === '    DEC の作っていた RISC CPU。');
-      assert(secondItem.children.length === 1);
-      const secondStr = secondItem.children[0];
-      assert(secondStr.type === 'Str');
-      assert(secondStr.raw === 'DEC の作っていた RISC CPU。');
+      const description = list.children[1];
+      assert(description.raw === `    DEC の作っていた RISC CPU。
+    浮動小数点数演算が速い。`);
+      assert(description.children.length === 1);
+      const paragraph = description.children[0];
+      assert(paragraph.type === 'Paragraph');
+      assert(paragraph.raw === description.raw);
+      assert.deepEqual(paragraph.children.map(node => node.type), ['Str', 'Str']);
+      assert.deepEqual(paragraph.children.map(node => node.raw),
+                       ['DEC の作っていた RISC CPU。', '浮動小数点数演算が速い。']);
+      assert.deepEqual(paragraph.children.map(node => [node.loc.start.line, node.loc.start.column]),
+                       [[3, 4], [4, 4]]);
+    });
+
+    it('should parse comments in a definition list', function () {
+      const result = parse(`
+ : Term
+#@# comment before a description
+    Description
+#@# comment in a description
+    continues.
+ : Term without description
+`);
+      const list = result.children[0];
+      assert.deepEqual(list.children.map(node => node.type),
+                       ['DefinitionTerm', 'Comment', 'DefinitionDescription', 'DefinitionTerm']);
+      const paragraph = list.children[2].children[0];
+      assert.deepEqual(paragraph.children.map(node => node.type), ['Str', 'Comment', 'Str']);
     });
 
     it('should parse single-line image block with caption', function () {
@@ -553,5 +801,464 @@ You need to install python.
       assert(lead.children[0].type === 'Paragraph');
       assert(lead.children[0].raw === `You need to install python.`);
     });
+
+    it('should parse unknown block as block having paragraphs', function () {
+      const result = parse(`
+//mybox[Title]{
+First paragraph.
+
+Second paragraph.
+//}
+`);
+      assert(result.children.length === 1);
+      const box = result.children[0];
+      assert(box.type === 'Block');
+      assert(box.name === 'mybox');
+      assert.deepEqual(box.args, ['Title']);
+      assert.deepEqual(box.children.map(node => node.type), ['Paragraph', 'Paragraph']);
+      assert.deepEqual(box.children.map(node => node.raw),
+                       ['First paragraph.', 'Second paragraph.']);
+    });
+
+    it('should parse single-line unknown block', function () {
+      const result = parse(`//mybreak`);
+      assert(result.children.length === 1);
+      const block = result.children[0];
+      assert(block.type === 'Block');
+      assert(block.name === 'mybreak');
+      assert.deepEqual(block.args, []);
+      assert.deepEqual(block.children, []);
+    });
+
+    it('should parse unknown block as code block when unknownBlock is code', function () {
+      const result = parse(`//prompt{
+$ ls -l
+//}`, { unknownBlock: 'code' });
+      const prompt = result.children[0];
+      assert(prompt.type === 'CodeBlock');
+      assert(prompt.name === 'prompt');
+      assert(prompt.value === '$ ls -l\n');
+    });
+
+    it('should parse unknown block without children when unknownBlock is ignore', function () {
+      const result = parse(`//mytalk{
+Hello.
+//}`, { unknownBlock: 'ignore' });
+      const talk = result.children[0];
+      assert(talk.type === 'Block');
+      assert(talk.name === 'mytalk');
+      assert.deepEqual(talk.children, []);
+    });
+
+    it('should parse custom blocks according to options', function () {
+      const result = parse(`//prompt[Run it]{
+$ ls
+//}
+
+//box[Box title]{
+Box content.
+//}
+
+//texequation{
+e^{i\\pi} = -1
+//}
+
+@<userinput>{ls}`, {
+        blocks: {
+          prompt: { strategy: 'code', caption: 0 },
+          box: { strategy: 'prose', caption: 0 },
+          texequation: 'non-string',
+        },
+        inlines: {
+          userinput: 'code',
+        },
+      });
+      assert.deepEqual(result.children.map(node => node.type),
+                       ['CodeBlock', 'Block', 'NonString', 'Paragraph']);
+      const prompt = result.children[0];
+      assert(prompt.value === '$ ls\n');
+      assert(prompt.children[0].type === 'Caption');
+      assert(prompt.children[0].raw === 'Run it');
+      const box = result.children[1];
+      assert.deepEqual(box.children.map(node => node.type), ['Caption', 'Paragraph']);
+      assert(box.children[0].raw === 'Box title');
+      const paragraph = result.children[3];
+      assert(paragraph.children[0].type === 'Code');
+    });
+
+    it('should parse nested blocks in a short column block', function () {
+      const result = parse(`
+//note[Caution]{
+See the following code.
+
+//list[hello][Hello]{
+puts "hello"
+//}
+
+//table[env][Environment]{
+Name	Value
+-----
+PATH	/usr/bin
+//}
+
+//image[sample][Sample image]
+
+ * 1st item
+ * 2nd item
+//}
+
+after the note
+`);
+      assert(result.children.length === 2);
+      assert.deepEqual(result.children.map(node => node.type),
+                       ['Block', 'Paragraph']);
+      assert(result.children[1].raw === 'after the note');
+      const note = result.children[0];
+      assert.deepEqual(note.children.map(node => node.type),
+                       ['Caption', 'Paragraph', 'CodeBlock', 'Table', 'Image', 'List']);
+      const code = note.children[2];
+      assert(code.raw === `//list[hello][Hello]{
+puts "hello"
+//}`);
+      assert(code.value === 'puts "hello"\n');
+      assert(code.loc.start.line === 5);
+      assert(code.loc.end.line === 7);
+      assert(code.children[0].raw === 'Hello');
+      const table = note.children[3];
+      assert(table.loc.start.line === 9);
+      assert(table.children[0].raw === 'Environment');
+      const image = note.children[4];
+      assert(image.raw === '//image[sample][Sample image]');
+      const list = note.children[5];
+      assert.deepEqual(list.children.map(node => node.raw), [' * 1st item', ' * 2nd item']);
+    });
+  });
+
+  describe('#parse blocks of Re:VIEW 5', function () {
+    function parseBlock(text) {
+      const diagnostics = [];
+      const result = parse(text, { diagnostics });
+      assert.deepEqual(diagnostics, []);
+      assert(result.children.length === 1);
+      return result.children[0];
+    }
+
+    it('should parse //texequation as a NonString having a caption', function () {
+      const node = parseBlock(`//texequation[euler][Euler's identity]{
+e^{i\\pi} + 1 = 0
+//}`);
+      assert(node.type === 'NonString');
+      assert(node.value === 'e^{i\\pi} + 1 = 0\n');
+      assert.deepEqual(node.children.map(child => child.raw), ["Euler's identity"]);
+    });
+
+    it('should parse //embed and //raw as a Html', function () {
+      const embed = parseBlock(`//embed[html]{
+<div>Raw <b>HTML</b></div>
+//}`);
+      assert(embed.type === 'Html');
+      assert(embed.value === '<div>Raw <b>HTML</b></div>\n');
+      assert(!embed.children);
+
+      const raw = parseBlock(`//raw[|html|<hr class="page">]`);
+      assert(raw.type === 'Html');
+      assert(raw.value === '|html|<hr class="page">');
+    });
+
+    it('should parse //comment as a Comment', function () {
+      const node = parseBlock(`//comment[memo]{
+TODO: write this section
+//}`);
+      assert(node.type === 'Comment');
+      assert(node.value === 'TODO: write this section\n');
+    });
+
+    it('should parse //bibpaper as a block having a caption and paragraphs', function () {
+      const node = parseBlock(`//bibpaper[lins][Lins, 1991]{
+Lins, Rafael D. Lins. A shared memory architecture for parallel study of algorithms.
+//}`);
+      assert(node.type === 'Block');
+      assert.deepEqual(node.children.map(child => child.type), ['Caption', 'Paragraph']);
+      assert(node.children[0].raw === 'Lins, 1991');
+    });
+
+    it('should parse //doorquote and //blockquote as a BlockQuote', function () {
+      ['//doorquote[Steve Jobs]{', '//blockquote{'].forEach(open => {
+        const node = parseBlock(`${open}
+Stay hungry, stay foolish.
+//}`);
+        assert(node.type === 'BlockQuote');
+        assert.deepEqual(node.children.map(child => child.raw), ['Stay hungry, stay foolish.']);
+      });
+    });
+
+    it('should parse prose blocks as a block having paragraphs', function () {
+      ['talk', 'flushright', 'centering', 'address', 'bpo',
+       'reference', 'term', 'practice', 'expert'].forEach(name => {
+        const node = parseBlock(`//${name}{
+Some text.
+//}`);
+        assert(node.type === 'Block');
+        assert(node.name === name);
+        assert.deepEqual(node.children.map(child => child.type), ['Paragraph']);
+      });
+    });
+
+    it('should parse //point and //shoot as a short column having a caption', function () {
+      ['point', 'shoot'].forEach(name => {
+        const node = parseBlock(`//${name}[Title]{
+Some text.
+//}`);
+        assert(node.type === 'Block');
+        assert.deepEqual(node.children.map(child => child.type), ['Caption', 'Paragraph']);
+      });
+    });
+
+    it('should parse pre-formatted blocks as a CodeBlock having a caption', function () {
+      ['source', 'cmd', 'box', 'insn'].forEach(name => {
+        const node = parseBlock(`//${name}[Caption]{
+$ ls
+//}`);
+        assert(node.type === 'CodeBlock');
+        assert(node.value === '$ ls\n');
+        assert.deepEqual(node.children.map(child => child.raw), ['Caption']);
+      });
+    });
+
+    it('should parse //emtable as a Table having a caption', function () {
+      const node = parseBlock(`//emtable[Caption]{
+Name	Value
+//}`);
+      assert(node.type === 'Table');
+      assert.deepEqual(node.children.map(child => child.type), ['Caption', 'TableRow']);
+    });
+
+    it('should parse //graph as an Image having a caption and a source', function () {
+      const node = parseBlock(`//graph[sin][gnuplot][Graph of sin]{
+plot sin(x)
+//}`);
+      assert(node.type === 'Image');
+      assert(node.value === 'plot sin(x)\n');
+      assert.deepEqual(node.children.map(child => child.raw), ['Graph of sin']);
+    });
+
+    it('should parse //endnote as a Footnote', function () {
+      const node = parseBlock(`//endnote[note1][This is an endnote.]`);
+      assert(node.type === 'Footnote');
+      assert.deepEqual(node.children.map(child => child.raw), ['This is an endnote.']);
+    });
+
+    it('should parse blocks having no text as a block without children', function () {
+      ['//printendnotes', '//noindent', '//blankline', '//pagebreak', '//hr', '//parasep',
+       '//label[start]', '//tsize[|latex||l|l|]', '//include[ch01.re]', '//olnum[10]',
+       '//firstlinenum[100]'].forEach(text => {
+        const node = parseBlock(text);
+        assert(node.type === 'Block');
+        assert.deepEqual(node.children, []);
+      });
+    });
+  });
+
+  describe('#parse with softBreaks option', function () {
+    it('should not add soft breaks by default', function () {
+      const ast = parse(`日本語の
+文章です。`);
+      assert.deepEqual(ast.children[0].children.map(node => node.type), ['Str', 'Str']);
+    });
+
+    it('should join Japanese lines without a space and Latin lines with a space', function () {
+      const ast = parse(`日本語の
+文章です。
+This is
+a pen.
+#@# comment
+Next line\r
+です。`, { softBreaks: true });
+      const paragraph = ast.children[0];
+      assert.deepEqual(paragraph.children.map(node => node.type),
+                       ['Str', 'Str', 'Str', 'Str', 'Str', 'Str', 'Str', 'Str', 'Comment',
+                        'Str', 'Str', 'Str']);
+      const breaks = paragraph.children.filter(node => node.softBreak);
+      assert.deepEqual(breaks.map(node => node.value), ['', '', ' ', ' ', '']);
+      assert.deepEqual(breaks.map(node => node.raw), ['\n', '\n', '\n', '\n', '\r\n']);
+      assert.deepEqual(breaks[0].range, [4, 5]);
+      assert.deepEqual(breaks[0].loc, { start: { line: 1, column: 4 }, end: { line: 2, column: 0 } });
+    });
+
+    it('should add soft breaks in descriptions of definition lists', function () {
+      const ast = parse(` : RISC
+    縮小命令セット
+    コンピュータ。
+    Reduced instruction
+    set computer.
+`, { softBreaks: true });
+      const paragraph = ast.children[0].children[1].children[0];
+      assert(paragraph.type === 'Paragraph');
+      const breaks = paragraph.children.filter(node => node.softBreak);
+      assert.deepEqual(breaks.map(node => node.value), ['', '', ' ']);
+      assert.deepEqual(breaks[0].range, [19, 20]);
+    });
+  });
+
+  describe('#parse with syntax errors', function () {
+    function parseWithDiagnostics(text) {
+      const diagnostics = [];
+      const ast = parse(text, { diagnostics });
+      return { ast, diagnostics };
+    }
+
+    it('should report unclosed block and parse the rest as its content', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`//list[foo][Foo]{
+let x = 0;`);
+      assert.deepEqual(diagnostics, [
+        { message: '//list is not closed with //}', index: 0, line: 1, column: 0 },
+      ]);
+      const list = ast.children[0];
+      assert(list.type === 'CodeBlock');
+      assert(list.value === 'let x = 0;');
+    });
+
+    it('should report unclosed nested block', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`//note{
+Column text.
+//list[foo][Foo]{
+let x = 0;
+//}`);
+      assert.deepEqual(diagnostics.map(diagnostic => diagnostic.line), [1]);
+      const note = ast.children[0];
+      assert.deepEqual(note.children.map(node => node.type), ['Paragraph', 'CodeBlock']);
+    });
+
+    it('should report unclosed block in unclosed nestable block once', function () {
+      const { diagnostics } = parseWithDiagnostics(`//note{
+//list[a][b]{
+foo
+`);
+      assert.deepEqual(diagnostics.map(diagnostic => diagnostic.message), [
+        '//note is not closed with //}',
+        '//list is not closed with //}',
+      ]);
+    });
+
+    it('should report //} without corresponding block', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`first line
+//}
+second line`);
+      assert.deepEqual(diagnostics, [
+        { message: '//} appears without corresponding block', index: 11, line: 2, column: 0 },
+      ]);
+      assert.deepEqual(ast.children.map(node => node.raw), ['first line', 'second line']);
+    });
+
+    it('should report //footnote and //endnote without text', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`//footnote[foo]
+
+//endnote`);
+      assert.deepEqual(diagnostics, [
+        { message: '//footnote requires a text', index: 0, line: 1, column: 0 },
+        { message: '//endnote requires a text', index: 17, line: 3, column: 0 },
+      ]);
+      assert.deepEqual(ast.children.map(node => node.type), ['Footnote', 'Footnote']);
+    });
+
+    it('should report unclosed argument of a block', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`//list[foo][Foo{
+let x = 0;
+//}`);
+      assert.deepEqual(diagnostics, [
+        { message: 'Argument of //list is not closed with ]', index: 11, line: 1, column: 11 },
+      ]);
+      assert(ast.children[0].type === 'CodeBlock');
+    });
+
+    it('should report unclosed inline tag', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`AAA@<b>{BBB`);
+      assert.deepEqual(diagnostics, [
+        { message: '@<b> is not closed with }', index: 3, line: 1, column: 3 },
+      ]);
+      assert(ast.children[0].children[0].raw === 'AAA@<b>{BBB');
+    });
+
+    it('should report unclosed fenced inline tag', function () {
+      const { diagnostics } = parseWithDiagnostics(`AAA@<m>$x + y`);
+      assert.deepEqual(diagnostics, [
+        { message: '@<m> is not closed with $', index: 3, line: 1, column: 3 },
+      ]);
+    });
+
+    it('should report malformed ruby, kw and href tags', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`@<ruby>{Matsumoto} @<kw>{} @<href>{}`);
+      assert.deepEqual(diagnostics.map(diagnostic => diagnostic.column), [0, 19, 27]);
+      assert.deepEqual(diagnostics.map(diagnostic => diagnostic.message), [
+        '@<ruby> requires a base text and a ruby text separated by comma',
+        '@<kw> requires a keyword',
+        '@<href> requires a URL',
+      ]);
+      const ruby = ast.children[0].children[0];
+      assert(ruby.type === 'Ruby');
+      assert(ruby.children[0].raw === 'Matsumoto');
+    });
+
+    it('should report ==[/column] without column', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`text
+
+==[/column]`);
+      assert.deepEqual(diagnostics, [
+        { message: '==[/column] appears without corresponding ==[column]',
+          index: 6, line: 3, column: 0 },
+      ]);
+      assert.deepEqual(ast.children.map(node => node.type), ['Paragraph']);
+    });
+
+    it('should report //beginchild without a list', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`text
+
+//beginchild
+child
+//endchild`);
+      assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.message, diagnostic.line]), [
+        ['//beginchild must follow a list', 3],
+        ['//endchild appears without corresponding //beginchild', 5],
+      ]);
+      assert.deepEqual(ast.children.map(node => node.raw), ['text', 'child']);
+    });
+
+    it('should report unclosed //beginchild', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(` * item
+//beginchild
+child`);
+      assert.deepEqual(diagnostics.map(diagnostic => diagnostic.message),
+                       ['//beginchild is not closed with //endchild']);
+      const item = ast.children[0].children[0];
+      assert.deepEqual(item.children.map(node => node.type), ['Str', 'Paragraph']);
+    });
+
+    it('should report too deep list item', function () {
+      const { diagnostics } = parseWithDiagnostics(` * item
+ *** too deep item`);
+      assert.deepEqual(diagnostics, [
+        { message: 'List item is too deep', index: 8, line: 2, column: 0 },
+      ]);
+    });
+
+    it('should report table rows whose cell count differs from header', function () {
+      const { diagnostics } = parseWithDiagnostics(`//table{
+Name	Value
+-----
+PATH	/usr/bin
+TERM
+LANG	C	extra
+//}`);
+      assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.message, diagnostic.line]), [
+        ['Row has 1 cells, but header has 2 cells', 5],
+        ['Row has 3 cells, but header has 2 cells', 6],
+      ]);
+    });
+
+    it('should report heading without title', function () {
+      const { ast, diagnostics } = parseWithDiagnostics(`==`);
+      assert.deepEqual(diagnostics.map(diagnostic => diagnostic.message), ['Heading has no title']);
+      assert.deepEqual(ast.children[0].children, []);
+    });
   });
 });